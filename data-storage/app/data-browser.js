@@ -1,3 +1,6 @@
+import EntryEditor from './entry-editor.js';
+import EntryHistory from './entry-history.js';
+
 const MODULE_ID = 'data-storage';
 
 export default class DataBrowser extends foundry.applications.api.HandlebarsApplicationMixin(
@@ -5,6 +8,12 @@ export default class DataBrowser extends foundry.applications.api.HandlebarsAppl
 ) {
   static _entryPartial = `modules/${MODULE_ID}/templates/entry-partial.hbs`;
 
+  // Number of entries rendered per page of results
+  static PAGE_SIZE = 50;
+
+  // Selected entry UUIDs
+  _selected = new Set();
+
   static DEFAULT_OPTIONS = {
     id: `${MODULE_ID}-browser`,
     classes: ['data-browser', 'directory', 'sidebar-tab'],
@@ -25,6 +34,20 @@ export default class DataBrowser extends foundry.applications.api.HandlebarsAppl
       selectType: DataBrowser._onSelectType,
       selectTag: DataBrowser._onSelectTag,
       delete: DataBrowser._onDelete,
+      edit: DataBrowser._onEdit,
+      createEntry: DataBrowser._onCreateEntry,
+      history: DataBrowser._onHistory,
+      verifyPack: DataBrowser._onVerifyPack,
+      selectPack: DataBrowser._onSelectPack,
+      createPack: DataBrowser._onCreatePack,
+      transfer: DataBrowser._onTransfer,
+      exportResults: DataBrowser._onExportResults,
+      importBundle: DataBrowser._onImportBundle,
+      loadMore: DataBrowser._onLoadMore,
+      selectAll: DataBrowser._onSelectAll,
+      clearSelection: DataBrowser._onClearSelection,
+      bulk: DataBrowser._onBulk,
+      openRelated: DataBrowser._onOpenRelated,
     },
   };
 
@@ -32,6 +55,7 @@ export default class DataBrowser extends foundry.applications.api.HandlebarsAppl
   static PARTS = {
     header: { template: `modules/${MODULE_ID}/templates/header-search.hbs` },
     typestags: { template: `modules/${MODULE_ID}/templates/types-tags.hbs` },
+    packs: { template: `modules/${MODULE_ID}/templates/packs.hbs` },
     main: {
       template: `modules/${MODULE_ID}/templates/main.hbs`,
       templates: [DataBrowser._entryPartial],
@@ -42,12 +66,18 @@ export default class DataBrowser extends foundry.applications.api.HandlebarsAppl
   async _preparePartContext(partId, context, options) {
     context = await super._preparePartContext(partId, context, options);
     switch (partId) {
+      case 'header':
+        context.canCreate = game.user.isGM || DataStorage._playerStorePermission;
+        break;
       case 'typestags':
         await this._prepareTypesTagsContext(context, options);
         break;
       case 'main':
         await this._prepareMainContext(context, options);
         break;
+      case 'packs':
+        await this._preparePacksContext(context, options);
+        break;
     }
     return context;
   }
@@ -55,30 +85,77 @@ export default class DataBrowser extends foundry.applications.api.HandlebarsAppl
   /* -------------------------------------------- */
 
   async _prepareTypesTagsContext(context, options) {
-    const entries = this._entries ?? (await DataStorage.retrieve({ query: '-glkasrdjgsdrkgjsdrg' }));
+    const entries = this._results ?? (await DataStorage.retrieve({ query: '-glkasrdjgsdrkgjsdrg' }));
 
     // Gather types and tags
     const types = new Set();
-    const tags = new Set();
-    for (const entry of entries) {
-      types.add(entry.type);
-      for (const tag of entry.tags) tags.add(tag);
-    }
+    for (const entry of entries) types.add(entry.type);
 
     Object.assign(context, {
-      types,
-      tags,
+      types: Array.from(types).map((type) => ({ type, registered: Boolean(DataStorage.getType(type)) })),
+      tags: await DataStorage.listTags({ entries }),
       count: entries.length,
     });
   }
 
   async _prepareMainContext(context, options) {
+    const entries = this._entries ?? [];
     Object.assign(context, {
       entryPartial: DataBrowser._entryPartial,
       entries: this._entries,
+      total: this._results?.length ?? 0,
+      hasMore: Boolean(this._nextCursor),
+      selected: Object.fromEntries(Array.from(this._selected).map((uuid) => [uuid, true])),
+      selectedCount: this._selected.size,
+      invalid: Object.fromEntries(this._invalid ?? []),
+      isGM: game.user.isGM,
+      typeIcons: Object.fromEntries(
+        Object.values(DataStorage._typeRenderers)
+          .filter((r) => r.icon)
+          .map((r) => [r.type, r.icon])
+      ),
+      packTitles: Object.fromEntries(DataStorage.getManagedPacks().map((p) => [p.collection, p.title])),
+      owners: Object.fromEntries(game.users.map((u) => [u.id, { name: u.name, color: u.color?.css }])),
+      writable: Object.fromEntries(entries.map((e) => [e.uuid, DataStorage.canAccess(e, 'write')])),
+      accessIcons: {
+        private: 'fa-solid fa-lock',
+        'shared-read': 'fa-solid fa-eye',
+        'shared-write': 'fa-solid fa-pen',
+      },
     });
   }
 
+  async _preparePacksContext(context, options) {
+    const query = this.element?.querySelector('input[type="search"]')?.value ?? '';
+    const packs = [];
+    for (const pack of DataStorage.getManagedPacks()) {
+      const index = await DataStorage._loadIndex(pack);
+      packs.push({
+        id: pack.collection,
+        title: pack.title,
+        locked: pack.locked,
+        count: index.filter((entry) => DataStorage.canAccess(entry)).length,
+        selected: query.includes('pack:' + pack.collection),
+      });
+    }
+    context.packs = packs;
+    context.isGM = game.user.isGM;
+  }
+
+  /** @inheritDoc */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+
+    // Keep types, tags, and pack counts current as entries are changed by any client
+    DataStorage.watch({ query: '-glkasrdjgsdrkgjsdrg' }, () =>
+      this.render({ parts: this._results ? ['packs'] : ['typestags', 'packs'] })
+    ).then((watcher) => (this._indexWatcher = watcher));
+
+    // Allow bundles to be dropped anywhere within the browser
+    this.element.addEventListener('dragover', (event) => event.preventDefault());
+    this.element.addEventListener('drop', this._onDropBundle.bind(this));
+  }
+
   /** @inheritDoc */
   _attachPartListeners(partId, element, options) {
     super._attachPartListeners(partId, element, options);
@@ -86,11 +163,387 @@ export default class DataBrowser extends foundry.applications.api.HandlebarsAppl
       case 'header':
         this._attachHeaderListeners(element, options);
         break;
+      case 'typestags':
+        this._createContextMenu(this._getTagContextOptions, '.tag[data-tag]', { container: element, fixed: true });
+        break;
+      case 'main':
+        element.addEventListener('click', this._onClickEntry.bind(this));
+        element.addEventListener('dblclick', this._onDoubleClickEntry.bind(this));
+        this._createContextMenu(this._getEntryContextOptions, '.entry', { container: element, fixed: true });
+        this._renderPreview(element);
+        this._renderRelated(element);
+        break;
+    }
+  }
+
+  /**
+   * @param {string} uuid
+   * @returns {Entry|undefined} rendered entry
+   */
+  _getEntry(uuid) {
+    return this._entries?.find((e) => e.uuid === uuid);
+  }
+
+  /**
+   * Context menu of entries consisting of built-in actions and those registered via DataStorage.registerTypeRenderer(...)
+   * @returns {Array[object]}
+   */
+  _getEntryContextOptions() {
+    const entry = (li) => this._getEntry(li.dataset.entryUuid);
+    const options = [
+      {
+        name: 'Edit',
+        icon: '<i class="fa-solid fa-pen-to-square"></i>',
+        condition: (li) => DataStorage.canAccess(entry(li), 'write'),
+        callback: (li) => DataBrowser._onEdit.call(this, null, li),
+      },
+      {
+        name: 'History',
+        icon: '<i class="fa-solid fa-clock-rotate-left"></i>',
+        condition: () => game.user.isGM,
+        callback: (li) => DataBrowser._onHistory.call(this, null, li),
+      },
+      {
+        name: 'Move / Copy',
+        icon: '<i class="fa-solid fa-right-left"></i>',
+        condition: () => game.user.isGM,
+        callback: (li) => DataBrowser._onTransfer.call(this, null, li),
+      },
+    ];
+
+    for (const renderer of Object.values(DataStorage._typeRenderers)) {
+      for (const action of renderer.actions) {
+        options.push({
+          name: action.name,
+          icon: `<i class="${action.icon ?? 'fa-solid fa-gear'}"></i>`,
+          condition: (li) => entry(li)?.type === renderer.type && (action.condition?.(entry(li)) ?? true),
+          callback: (li) => action.callback(entry(li)),
+        });
+      }
+    }
+
+    options.push({
+      name: 'Delete',
+      icon: '<i class="fa-solid fa-trash"></i>',
+      condition: (li) => DataStorage.canAccess(entry(li), 'write'),
+      callback: (li) => DataBrowser._onDelete.call(this, null, li),
+    });
+
+    return options;
+  }
+
+  _onDoubleClickEntry(event) {
+    const element = event.target.closest('.entry');
+    if (!element || event.target.closest('[data-action]')) return;
+
+    const entry = this._getEntry(element.dataset.entryUuid);
+    if (entry) this._openEntry(entry);
+  }
+
+  /**
+   * Context menu of tags offering to rename or merge them across all entries
+   * @returns {Array[object]}
+   */
+  _getTagContextOptions() {
+    return [
+      {
+        name: 'Rename',
+        icon: '<i class="fa-solid fa-pen-to-square"></i>',
+        callback: (li) => this._onRenameTag(li.dataset.tag),
+      },
+      {
+        name: 'Merge Into...',
+        icon: '<i class="fa-solid fa-code-merge"></i>',
+        callback: (li) => this._onMergeTag(li.dataset.tag),
+      },
+    ];
+  }
+
+  async _onRenameTag(tag) {
+    const newTag = await foundry.applications.api.DialogV2.prompt({
+      window: { title: `Rename Tag: ${tag}` },
+      content: `<p>Renames the tag and its descendants on all entries you can modify.</p>
+        <div class="form-group">
+          <label>Tag</label>
+          <input type="text" name="tag" value="${tag}" autofocus>
+        </div>`,
+      ok: {
+        label: 'Rename',
+        callback: (event, button) => button.form.elements.tag.value,
+      },
+      rejectClose: false,
+    });
+    if (!newTag || DataStorage.slugifyTag(newTag) === tag) return;
+
+    await this._replaceTags(() => DataStorage.renameTag(tag, newTag));
+  }
+
+  async _onMergeTag(tag) {
+    const tags = (await DataStorage.listTags()).map((t) => t.tag).filter((t) => t !== tag);
+    const into = await foundry.applications.api.DialogV2.prompt({
+      window: { title: `Merge Tag: ${tag}` },
+      content: `<p>Replaces the tag and its descendants with the target tag on all entries you can modify.</p>
+        <div class="form-group">
+          <label>Merge Into</label>
+          <input type="text" name="tag" list="${this.id}-merge-tags" autofocus>
+          <datalist id="${this.id}-merge-tags">
+            ${tags.map((t) => `<option value="${t}"></option>`).join('')}
+          </datalist>
+        </div>`,
+      ok: {
+        label: 'Merge',
+        callback: (event, button) => button.form.elements.tag.value,
+      },
+      rejectClose: false,
+    });
+    if (!into) return;
+
+    await this._replaceTags(() => DataStorage.mergeTags([tag], into));
+  }
+
+  /**
+   * @param {Function} replace renames or merges tags returning updated entries
+   */
+  async _replaceTags(replace) {
+    try {
+      const updated = await replace();
+      ui.notifications.info(`Updated tags of ${updated?.length ?? 0} entries.`);
+    } catch (e) {
+      ui.notifications.error(e.message);
+    }
+    this.render({ parts: ['typestags'] });
+  }
+
+  /**
+   * Render entries linked to and from the selected entry
+   * @param {HTMLElement} element main part
+   */
+  async _renderRelated(element) {
+    const container = element.querySelector('.related');
+    if (!container || this._selected.size !== 1) return;
+
+    const entry = this._getEntry(this._selected.first());
+    if (!entry) return;
+
+    const links = (await entry.links()).map(({ type, uuid, entry }) => ({ type, uuid, name: entry?.name }));
+    const backlinks = [];
+    for (const e of await entry.backlinks()) {
+      for (const link of e.linked.filter((l) => l.uuid === entry.uuid)) {
+        backlinks.push({ type: link.type, uuid: e.uuid, name: e.name });
+      }
+    }
+    if (!links.length && !backlinks.length) return;
+
+    container.innerHTML = await foundry.applications.handlebars.renderTemplate(
+      `modules/${MODULE_ID}/templates/related-entries.hbs`,
+      { links, backlinks }
+    );
+    container.hidden = false;
+  }
+
+  static async _onOpenRelated(event, target) {
+    const entry = await DataStorage.retrieve({ uuid: target.dataset.uuid });
+    if (entry) this._openEntry(entry);
+  }
+
+  /**
+   * Open the entry using its type renderer, or the editor if none has been registered
+   * @param {Entry} entry
+   */
+  _openEntry(entry) {
+    const open = DataStorage.getTypeRenderer(entry.type)?.open;
+    if (open) open(entry);
+    else if (DataStorage.canAccess(entry, 'write')) new EntryEditor({ entry }).render(true);
+  }
+
+  /**
+   * Render preview of the selected entry provided by its type renderer
+   * @param {HTMLElement} element main part
+   */
+  async _renderPreview(element) {
+    const container = element.querySelector('.type-preview');
+    if (!container || this._selected.size !== 1) return;
+
+    const entry = this._getEntry(this._selected.first());
+    const preview = entry && DataStorage.getTypeRenderer(entry.type)?.preview;
+    if (!preview) return;
+
+    try {
+      const content = await preview(entry);
+      if (content instanceof HTMLElement) container.replaceChildren(content);
+      else container.innerHTML = content ?? '';
+      container.hidden = false;
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  /**
+   * Select entries on click. Ctrl/Cmd-click toggles an entry while Shift-click selects a range of them.
+   * @param {PointerEvent} event
+   */
+  _onClickEntry(event) {
+    const element = event.target.closest('.entry');
+    if (!element || event.target.closest('[data-action]')) return;
+
+    const uuid = element.dataset.entryUuid;
+    const uuids = this._entries.map((e) => e.uuid);
+    if (event.shiftKey && this._lastSelected && uuids.includes(this._lastSelected)) {
+      const [from, to] = [uuids.indexOf(this._lastSelected), uuids.indexOf(uuid)].sort((a, b) => a - b);
+      uuids.slice(from, to + 1).forEach((u) => this._selected.add(u));
+    } else if (event.ctrlKey || event.metaKey) {
+      if (this._selected.has(uuid)) this._selected.delete(uuid);
+      else this._selected.add(uuid);
+    } else {
+      const only = this._selected.size === 1 && this._selected.has(uuid);
+      this._selected.clear();
+      if (!only) this._selected.add(uuid);
     }
+    this._lastSelected = uuid;
+
+    this.render({ parts: ['main'] });
+  }
+
+  static _onSelectAll(event) {
+    this._results?.forEach((e) => this._selected.add(e.uuid));
+    this.render({ parts: ['main'] });
+  }
+
+  static _onClearSelection(event) {
+    this._selected.clear();
+    this.render({ parts: ['main'] });
+  }
+
+  /**
+   * Perform an operation on all selected entries
+   */
+  static async _onBulk(event, target) {
+    const operation = target.dataset.operation;
+    const entries = (this._results ?? []).filter((e) => this._selected.has(e.uuid));
+    if (!entries.length) return;
+
+    if (operation === 'export') {
+      const bundle = await DataStorage.export({ entries });
+      foundry.utils.saveDataToFile(JSON.stringify(bundle, null, 2), 'text/json', 'data-storage-export.json');
+      return;
+    }
+
+    // Entries the user is not allowed to modify are skipped
+    const writable = entries.filter((e) => DataStorage.canAccess(e, 'write'));
+    const skipped = entries.length - writable.length;
+    const summary = (action) =>
+      `<p>${action} <strong>${writable.length}</strong> selected ${writable.length === 1 ? 'entry' : 'entries'}.</p>` +
+      (skipped ? `<p>${skipped} selected entries you do not have permission to modify will be skipped.</p>` : '');
+
+    if (!writable.length) {
+      ui.notifications.warn('You do not have permission to modify any of the selected entries.');
+      return;
+    }
+
+    const input = {
+      addTags: { title: 'Add Tags', label: 'Tags', action: 'Add comma separated tags to' },
+      removeTags: { title: 'Remove Tags', label: 'Tags', action: 'Remove comma separated tags from' },
+      changeType: { title: 'Change Type', label: 'Type', action: 'Change the type of' },
+    }[operation];
+
+    let value;
+    if (input) {
+      value = await foundry.applications.api.DialogV2.prompt({
+        window: { title: input.title },
+        content: `${summary(input.action)}
+          <div class="form-group">
+            <label>${input.label}</label>
+            <input type="text" name="value" required autofocus>
+          </div>`,
+        ok: {
+          label: 'Confirm',
+          callback: (event, button) => button.form.elements.value.value.trim(),
+        },
+        rejectClose: false,
+      });
+      if (!value) return;
+    } else if (operation === 'move') {
+      const packOptions = DataStorage.getManagedPacks()
+        .filter((p) => !p.locked)
+        .map((p) => `<option value="${p.collection}">${foundry.utils.escapeHTML(p.title)}</option>`)
+        .join('');
+      value = await foundry.applications.api.DialogV2.prompt({
+        window: { title: 'Move to Pack' },
+        content: `${summary('Move')}
+          <div class="form-group">
+            <label>Pack</label>
+            <select name="value">${packOptions}</select>
+          </div>`,
+        ok: {
+          label: 'Move',
+          callback: (event, button) => button.form.elements.value.value,
+        },
+        rejectClose: false,
+      });
+      if (!value) return;
+    } else if (operation === 'delete') {
+      const confirm = await foundry.applications.api.DialogV2.confirm({
+        window: { title: 'Delete Entries' },
+        content: `${summary('Permanently delete')}<ul>${writable
+          .slice(0, 10)
+          .map((e) => `<li>${foundry.utils.escapeHTML(e.name)}</li>`)
+          .join('')}${writable.length > 10 ? `<li>and ${writable.length - 10} more...</li>` : ''}</ul>`,
+      });
+      if (!confirm) return;
+
+      const deleting = new Set(writable.map((e) => e.uuid));
+      const backlinks = (await DataStorage._find({ linksTo: Array.from(deleting) })).filter(
+        (e) => !deleting.has(e.uuid)
+      );
+      if (backlinks.length) {
+        const content = `<p>Selected entries are linked to by ${backlinks.length} other entries.</p>`;
+        value = await this._promptOnLinked(content);
+        if (!value) return;
+      }
+    }
+
+    const tags = (value ?? '')
+      .split(',')
+      .map((t) => DataStorage.slugifyTag(t))
+      .filter(Boolean);
+
+    try {
+      switch (operation) {
+        case 'delete':
+          await DataStorage.deleteMany(writable, { onLinked: value ?? 'nullify' });
+          break;
+        case 'addTags':
+          await DataStorage.updateMany(
+            writable.map((e) => ({ uuid: e.uuid, tags: Array.from(new Set([...e.tags, ...tags])) }))
+          );
+          break;
+        case 'removeTags':
+          await DataStorage.updateMany(
+            writable.map((e) => ({ uuid: e.uuid, tags: e.tags.filter((t) => !tags.includes(t)) }))
+          );
+          break;
+        case 'changeType':
+          await DataStorage.updateMany(writable.map((e) => ({ uuid: e.uuid, type: value })));
+          break;
+        case 'move': {
+          const { merged } = await DataStorage.moveEntries(writable.filter((e) => e.pack !== value), value);
+          DataBrowser._notifyMerged(merged);
+          break;
+        }
+      }
+    } catch (e) {
+      ui.notifications.error(e.message);
+      return;
+    }
+
+    this._selected.clear();
+    this.render({ parts: ['main'] });
   }
 
   _attachHeaderListeners(element, options) {
-    element.querySelector('input').addEventListener('input', this._onSearchInput.bind(this));
+    element.querySelector('input[type="search"]').addEventListener('input', this._onSearchInput.bind(this));
+    element.querySelector('input[name="matchDesc"]').addEventListener('change', this._onSearchInput.bind(this));
+    element.querySelector('select[name="sort"]').addEventListener('change', this._onSortChange.bind(this));
   }
 
   // Throttle input and perform search
@@ -100,18 +553,125 @@ export default class DataBrowser extends foundry.applications.api.HandlebarsAppl
   }
 
   async _onSearch(event) {
-    if (!event.target.value.trim()) this._entries = null;
-    else this._entries = await DataStorage.retrieve({ query: event.target.value });
+    const query = this.element.querySelector('input[type="search"]').value;
+    const matchDesc = this.element.querySelector('input[name="matchDesc"]').checked;
+
+    // Report malformed queries instead of searching
+    const { errors } = DataStorage.parseSearchQuery(query);
+    const errorsElement = this.element.querySelector('.query-errors');
+    errorsElement.textContent = errors.join('; ');
+    errorsElement.hidden = !errors.length;
+    if (errors.length) return;
+
+    const searchId = (this._searchId = (this._searchId ?? 0) + 1);
+    this._resultsWatcher?.unsubscribe();
+    this._resultsWatcher = null;
+
+    if (!query.trim()) this._clearResults();
+    else {
+      // Results are watched so that changes made by this or other clients are reflected automatically
+      const watcher = await DataStorage.watch({ query, matchDesc }, (diff, entries) => this._onResultsChanged(entries));
+      if (searchId !== this._searchId) return watcher.unsubscribe();
+      this._resultsWatcher = watcher;
+      this._setResults(watcher.entries);
+      await this._loadPage();
+    }
+
+    this.render({ parts: ['main', 'typestags', 'packs'] });
+  }
+
+  /**
+   * Re-render results changed by this or other clients, keeping the already loaded pages
+   * @param {Array[Entry]} entries
+   */
+  async _onResultsChanged(entries) {
+    this._setResults(entries);
+    await this._loadPage({ limit: Math.max(DataBrowser.PAGE_SIZE, this._entries?.length ?? 0) });
+    this.render({ parts: ['main', 'typestags', 'packs'] });
+  }
+
+  /**
+   * Keep selected entries of a pack migrated to another document type selected under their new UUIDs
+   * @param {Map<string, string>} uuids old UUID -> new UUID
+   */
+  _onPackMigrated(uuids) {
+    this._selected = new Set(Array.from(this._selected).map((uuid) => uuids.get(uuid) ?? uuid));
+    this.render({ parts: ['main', 'typestags', 'packs'] });
+  }
+
+  /**
+   * @param {Array[Entry]} entries all search results
+   */
+  _setResults(entries) {
+    this._results = entries;
+    const uuids = new Set(entries.map((e) => e.uuid));
+    this._selected = new Set(Array.from(this._selected).filter((uuid) => uuids.has(uuid)));
+  }
+
+  /** @inheritDoc */
+  _onClose(options) {
+    super._onClose(options);
+    this._resultsWatcher?.unsubscribe();
+    this._indexWatcher?.unsubscribe();
+    this._resultsWatcher = this._indexWatcher = null;
+  }
+
+  async _onSortChange(event) {
+    if (!this._results) return;
+    await this._loadPage();
+    this.render({ parts: ['main'] });
+  }
+
+  static async _onLoadMore(event) {
+    if (!this._nextCursor) return;
+    await this._loadPage({ append: true });
+    this.render({ parts: ['main'] });
+  }
+
+  /**
+   * Select the first or following page of search results to be rendered
+   * @param {object} [options]
+   * @param {boolean} [options.append] Append the following page to the already rendered entries
+   * @param {number} [options.limit]   Number of entries to select
+   */
+  async _loadPage({ append = false, limit = DataBrowser.PAGE_SIZE } = {}) {
+    const page = DataStorage.paginate(this._results, {
+      sort: this.element.querySelector('select[name="sort"]').value || undefined,
+      limit,
+      cursor: append ? this._nextCursor : undefined,
+    });
+
+    // Only entries being rendered are validated as it requires their documents to be loaded
+    const invalid = await DataStorage.validateEntries(page.entries);
+    if (append) {
+      this._entries = this._entries.concat(page.entries);
+      this._invalid = new Map([...this._invalid, ...invalid]);
+    } else {
+      this._entries = page.entries;
+      this._invalid = invalid;
+    }
+    this._nextCursor = page.nextCursor;
+  }
 
-    this.render({ parts: ['main', 'typestags'] });
+  _clearResults() {
+    this._selected.clear();
+    this._results = null;
+    this._entries = null;
+    this._invalid = null;
+    this._nextCursor = null;
   }
 
   static _onSelectType(event) {
     this._toggleSearchValue('@' + event.target.text);
   }
 
-  static _onSelectTag(event) {
-    this._toggleSearchValue('#' + event.target.text);
+  static _onSelectTag(event, target) {
+    this._toggleSearchValue('#' + target.dataset.tag);
+  }
+
+  static _onSelectPack(event, target) {
+    this._toggleSearchValue('pack:' + target.closest('[data-pack]').dataset.pack);
+    this.render({ parts: ['packs'] });
   }
 
   _toggleSearchValue(val) {
@@ -123,10 +683,272 @@ export default class DataBrowser extends foundry.applications.api.HandlebarsAppl
     search.dispatchEvent(new Event('input'));
   }
 
-  static async _onDelete(event) {
-    const element = event.target.closest('.entry');
+  static async _onDelete(event, target) {
+    const element = target.closest('.entry');
     const entry = await DataStorage.retrieve({ uuid: element.dataset.entryUuid });
-    entry.delete();
+    if (!entry) {
+      ui.notifications.warn('Entry no longer exists or is not accessible.');
+      return;
+    }
+
+    let onLinked;
+    const backlinks = await entry.backlinks();
+    if (backlinks.length) {
+      const name = foundry.utils.escapeHTML(entry.name);
+      const content = `<p><strong>${name}</strong> is linked to by ${backlinks.length} entries.</p>`;
+      onLinked = await this._promptOnLinked(content);
+      if (!onLinked) return;
+    }
+
+    try {
+      await entry.delete({ onLinked });
+    } catch (e) {
+      ui.notifications.error(e.message);
+      return;
+    }
     element.remove();
+    if (this._results) this._results = this._results.filter((e) => e.uuid !== entry.uuid);
+    if (this._entries) this._entries = this._entries.filter((e) => e.uuid !== entry.uuid);
+  }
+
+  /**
+   * Prompt for how entries linking to deleted entries should be handled
+   * @param {string} content
+   * @returns {string|null} onLinked behaviour
+   */
+  _promptOnLinked(content) {
+    return foundry.applications.api.DialogV2.prompt({
+      window: { title: 'Linked Entries' },
+      content: `${content}
+        <div class="form-group">
+          <label>Linked Entries</label>
+          <select name="onLinked">
+            <option value="nullify">Remove links</option>
+            <option value="cascade">Delete linked entries</option>
+            <option value="restrict">Do not delete if linked</option>
+          </select>
+        </div>`,
+      ok: {
+        label: 'Delete',
+        callback: (event, button) => button.form.elements.onLinked.value,
+      },
+      rejectClose: false,
+    });
+  }
+
+  static async _onEdit(event, target) {
+    const entry = await DataStorage.retrieve({ uuid: target.closest('.entry').dataset.entryUuid });
+    if (entry) new EntryEditor({ entry }).render(true);
+  }
+
+  static _onCreateEntry(event) {
+    new EntryEditor().render(true);
+  }
+
+  static async _onCreatePack(event) {
+    const types = DataStorage.getManagedDocumentTypes();
+    const options = await foundry.applications.api.DialogV2.prompt({
+      window: { title: 'Create Managed Pack' },
+      content: `<div class="form-group">
+          <label>Label</label>
+          <input type="text" name="label" required autofocus>
+        </div>
+        <div class="form-group">
+          <label>Document Type</label>
+          <select name="type">${types.map((t) => `<option value="${t}">${t}</option>`).join('')}</select>
+        </div>`,
+      ok: {
+        label: 'Create',
+        callback: (event, button) => new foundry.applications.ux.FormDataExtended(button.form).object,
+      },
+      rejectClose: false,
+    });
+    if (!options?.label) return;
+
+    try {
+      const pack = await DataStorage.createPack(options.label, { type: options.type });
+      ui.notifications.info(`Created managed pack: ${pack.title}`);
+    } catch (e) {
+      ui.notifications.error(e.message);
+    }
+    this.render({ parts: ['packs'] });
+  }
+
+  static async _onTransfer(event, target) {
+    const entry = await DataStorage.retrieve({ uuid: target.closest('.entry').dataset.entryUuid });
+    if (!entry) return;
+
+    const packOptions = DataStorage.getManagedPacks()
+      .filter((p) => !p.locked)
+      .map((p) => `<option value="${p.collection}">${foundry.utils.escapeHTML(p.title)}</option>`)
+      .join('');
+
+    const options = await foundry.applications.api.DialogV2.prompt({
+      window: { title: 'Move / Copy Entry' },
+      content: `<p>Move or copy <strong>${foundry.utils.escapeHTML(entry.name)}</strong> to another pack.</p>
+        <div class="form-group">
+          <label>Pack</label>
+          <select name="pack">${packOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>Operation</label>
+          <select name="operation">
+            <option value="move">Move</option>
+            <option value="copy">Copy</option>
+          </select>
+        </div>`,
+      ok: {
+        label: 'Confirm',
+        callback: (event, button) => new foundry.applications.ux.FormDataExtended(button.form).object,
+      },
+      rejectClose: false,
+    });
+    if (!options) return;
+
+    try {
+      const { merged } =
+        options.operation === 'move'
+          ? await DataStorage.moveEntries([entry], options.pack)
+          : await DataStorage.copyEntries([entry], options.pack);
+      DataBrowser._notifyMerged(merged);
+    } catch (e) {
+      ui.notifications.error(e.message);
+    }
+  }
+
+  /**
+   * Warn about transferred entries which have been merged into existing entries of the destination pack
+   * @param {Array[Entry]} merged
+   */
+  static _notifyMerged(merged) {
+    if (!merged.length) return;
+    const names = merged.map((entry) => entry.name).join(', ');
+    ui.notifications.warn(`Merged into existing entries due to unique constraints of the pack: ${names}`);
+  }
+
+  static async _onHistory(event, target) {
+    const entry = await DataStorage.retrieve({ uuid: target.closest('.entry').dataset.entryUuid });
+    if (entry) new EntryHistory({ entry }).render(true);
+  }
+
+  static async _onVerifyPack(event, target) {
+    const packId = target.closest('[data-pack]').dataset.pack;
+
+    let report;
+    try {
+      report = await DataStorage.verifyIndex(packId);
+    } catch (e) {
+      ui.notifications.error(e.message);
+      return;
+    }
+    const issues =
+      report.orphans.length + report.missing.length + report.mismatched.length + report.orphanedChunks.length;
+    if (!issues) {
+      ui.notifications.info(`${packId}: META index is valid.`);
+      return;
+    }
+
+    const confirm = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Verify / Repair' },
+      content: `<p>Issues found within <strong>${packId}</strong> META index:</p>
+        <ul>
+          <li>Orphaned index entries: ${report.orphans.length}</li>
+          <li>Documents missing from index: ${report.missing.length}</li>
+          <li>Mismatched index entries: ${report.mismatched.length}</li>
+          <li>Orphaned data chunks: ${report.orphanedChunks.length}</li>
+        </ul>
+        <p>Repair the index?</p>`,
+    });
+    if (!confirm) return;
+
+    try {
+      await DataStorage.verifyIndex(packId, { repair: true });
+      ui.notifications.info(`${packId}: META index repaired.`);
+    } catch (e) {
+      ui.notifications.error(e.message);
+    }
+  }
+
+  static async _onExportResults(event) {
+    if (!this._results?.length) {
+      ui.notifications.warn('No search results to export.');
+      return;
+    }
+
+    const bundle = await DataStorage.export({ entries: this._results });
+    foundry.utils.saveDataToFile(JSON.stringify(bundle, null, 2), 'text/json', 'data-storage-export.json');
+  }
+
+  static async _onImportBundle(event) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.addEventListener('change', () => {
+      if (input.files[0]) this._importFile(input.files[0]);
+    });
+    input.click();
+  }
+
+  async _onDropBundle(event) {
+    const file = event.dataTransfer?.files?.[0];
+    if (!file) return;
+    event.preventDefault();
+    if (!file.name.endsWith('.json')) {
+      ui.notifications.warn('Only .json bundles can be imported.');
+      return;
+    }
+    this._importFile(file);
+  }
+
+  /**
+   * Prompt for import options and import the bundle contained within the provided file
+   * @param {File} file
+   */
+  async _importFile(file) {
+    let bundle;
+    try {
+      bundle = JSON.parse(await foundry.utils.readTextFromFile(file));
+    } catch (e) {
+      ui.notifications.error(`Unable to read ${file.name}: ${e.message}`);
+      return;
+    }
+
+    const packs = new Set([DataStorage.DEFAULT_PACK, ...DataStorage.getManagedPacks().map((p) => p.collection)]);
+    const packOptions = Array.from(packs)
+      .map((p) => `<option value="${p}">${foundry.utils.escapeHTML(game.packs.get(p)?.title ?? p)}</option>`)
+      .join('');
+
+    const fileName = foundry.utils.escapeHTML(file.name);
+    const options = await foundry.applications.api.DialogV2.prompt({
+      window: { title: 'Import Entries' },
+      content: `<p>Importing ${bundle.entries?.length ?? 0} entries from <strong>${fileName}</strong></p>
+        <div class="form-group">
+          <label>Pack</label>
+          <select name="pack">${packOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>On Conflict</label>
+          <select name="onConflict">
+            <option value="skip">Skip</option>
+            <option value="overwrite">Overwrite</option>
+            <option value="duplicate">Duplicate</option>
+          </select>
+        </div>`,
+      ok: {
+        label: 'Import',
+        callback: (event, button) => new foundry.applications.ux.FormDataExtended(button.form).object,
+      },
+      rejectClose: false,
+    });
+    if (!options) return;
+
+    try {
+      const { created, updated, skipped } = await DataStorage.import(bundle, options);
+      ui.notifications.info(
+        `Imported entries: ${created.length} created, ${updated.length} updated, ${skipped.length} skipped.`
+      );
+    } catch (e) {
+      ui.notifications.error(e.message);
+    }
   }
 }
@@ -0,0 +1,106 @@
+const MODULE_ID = 'data-storage';
+
+export default class DocumentTypesConfig extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-document-types`,
+    tag: 'form',
+    classes: ['data-browser', 'document-types'],
+    form: {
+      handler: DocumentTypesConfig._onSubmit,
+      closeOnSubmit: false,
+    },
+    window: {
+      contentClasses: ['standard-form'],
+      resizable: true,
+      title: 'Managed Document Types',
+    },
+    position: {
+      width: 450,
+      height: 'auto',
+    },
+    actions: {
+      migrate: DocumentTypesConfig._onMigrate,
+    },
+  };
+
+  /** @override */
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/document-types.hbs` },
+    footer: { template: 'templates/generic/form-footer.hbs' },
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const managed = DataStorage.getManagedDocumentTypes();
+    const packs = DataStorage.getManagedPacks();
+    const label = (type) => game.i18n.localize(CONFIG[type]?.documentClass.metadata.label ?? type);
+
+    return {
+      types: CONST.COMPENDIUM_DOCUMENT_TYPES.map((type) => {
+        const inUse = packs.filter((p) => p.documentName === type).length;
+        return {
+          type,
+          label: label(type),
+          managed: managed.includes(type),
+          isDefault: managed[0] === type,
+          inUse,
+        };
+      }),
+      packs: packs.map((p) => ({
+        id: p.collection,
+        title: p.title,
+        type: p.documentName,
+        migratable: p.metadata.packageType === 'world' && !p.locked,
+        targets: managed.filter((t) => t !== p.documentName).map((type) => ({ type, label: label(type) })),
+      })),
+      buttons: [{ type: 'submit', icon: 'fa-solid fa-floppy-disk', label: 'Save' }],
+    };
+  }
+
+  static async _onSubmit(event, form, formData) {
+    const { managed = {}, defaultType } = foundry.utils.expandObject(formData.object);
+    let types = Object.keys(managed).filter((type) => managed[type]);
+
+    // Types in use by managed packs are rendered disabled and therefore not submitted
+    for (const pack of DataStorage.getManagedPacks()) types.push(pack.documentName);
+    types = Array.from(new Set(types));
+
+    // Default type is placed first so that it is used when creating new packs
+    if (types.includes(defaultType)) types = [defaultType, ...types.filter((t) => t !== defaultType)];
+
+    try {
+      await DataStorage.setManagedDocumentTypes(types);
+    } catch (e) {
+      ui.notifications.error(e.message);
+      return;
+    }
+    this.render();
+  }
+
+  static async _onMigrate(event, target) {
+    const packId = target.closest('[data-pack]').dataset.pack;
+    const type = target.closest('[data-pack]').querySelector('select')?.value;
+    if (!type) return;
+
+    const title = foundry.utils.escapeHTML(game.packs.get(packId)?.title ?? packId);
+    const confirm = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Migrate Pack' },
+      content: `<p>Migrate <strong>${title}</strong> to <strong>${type}</strong> documents?</p>
+        <p>The pack will be re-created under the same ID. Entry UUIDs will change their document type,
+        links to them will be updated.</p>`,
+    });
+    if (!confirm) return;
+
+    target.disabled = true;
+    try {
+      const uuids = await DataStorage.migratePack(packId, type);
+      ui.notifications.info(`Migrated ${uuids.size} entries of ${packId} to ${type}.`);
+    } catch (e) {
+      ui.notifications.error(e.message);
+      console.error(e);
+    }
+    this.render();
+  }
+}
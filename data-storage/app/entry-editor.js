@@ -0,0 +1,137 @@
+const MODULE_ID = 'data-storage';
+
+export default class EntryEditor extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  /**
+   * @param {object} options
+   * @param {Entry} [options.entry]     Entry to be edited, a new entry will be stored if not provided
+   * @param {Function} [options.onSave] Called with the saved Entry
+   */
+  constructor({ entry, onSave, ...options } = {}) {
+    super({ id: `${MODULE_ID}-editor-${entry?.id ?? foundry.utils.randomID()}`, ...options });
+    this.entry = entry;
+    this.onSave = onSave;
+  }
+
+  static DEFAULT_OPTIONS = {
+    tag: 'form',
+    classes: ['data-browser', 'entry-editor'],
+    form: {
+      handler: EntryEditor._onSubmit,
+      closeOnSubmit: true,
+    },
+    window: {
+      contentClasses: ['standard-form'],
+      resizable: true,
+      title: 'Entry Editor',
+    },
+    position: {
+      width: 500,
+      height: 700,
+    },
+  };
+
+  /** @override */
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/entry-editor.hbs` },
+    footer: { template: 'templates/generic/form-footer.hbs' },
+  };
+
+  /** @override */
+  get title() {
+    return this.entry ? `Edit: ${this.entry.name}` : 'New Entry';
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const entry = this.entry;
+    const type = entry?.type ?? DataStorage.DEFAULT_TYPE;
+    const data = entry ? await entry.data() : DataStorage.getType(type)?.defaults ?? {};
+
+    // Suggest registered types and types already in use
+    const types = new Set(Object.keys(DataStorage._types));
+    for (const pack of DataStorage.getManagedPacks()) {
+      for (const e of await DataStorage._loadIndex(pack)) types.add(e.type);
+    }
+
+    return {
+      isNew: !entry,
+      name: entry?.name ?? '',
+      thumb: entry?.thumb ?? DataStorage.DEFAULT_THUMB,
+      tags: (entry?.tags ?? []).join(','),
+      type,
+      desc: entry?.desc ?? '',
+      access: entry?.access ?? DataStorage.DEFAULT_ACCESS,
+      canChangeAccess: !entry || DataStorage.canAccess(entry, 'owner'),
+      accessLevels: DataStorage.ACCESS_LEVELS,
+      types: Array.from(types).sort(),
+      packs: DataStorage.getManagedPacks().map((p) => ({ id: p.collection, title: p.title })),
+      pack: DataStorage.DEFAULT_PACK,
+      json: JSON.stringify(data, null, 2),
+      buttons: [{ type: 'submit', icon: 'fa-solid fa-floppy-disk', label: entry ? 'Save' : 'Create' }],
+    };
+  }
+
+  /** @inheritDoc */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    this.element.querySelector('textarea[name="data"]').addEventListener('input', this._onDataInput.bind(this));
+  }
+
+  // Report JSON syntax errors while the payload is being edited
+  _onDataInput(event) {
+    const error = this._parseData(event.target.value).error;
+    const errorElement = this.element.querySelector('.json-error');
+    errorElement.textContent = error ?? '';
+    errorElement.hidden = !error;
+    event.target.classList.toggle('invalid', Boolean(error));
+  }
+
+  /**
+   * @param {string} json
+   * @returns {object} { data, error }
+   */
+  _parseData(json) {
+    try {
+      const data = JSON.parse(json);
+      if (foundry.utils.getType(data) !== 'Object') return { error: 'Data must be a JSON object.' };
+      return { data };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
+  static async _onSubmit(event, form, formData) {
+    const { data: json, pack, ...fields } = formData.object;
+
+    const { data, error } = this._parseData(json);
+    if (error) {
+      ui.notifications.error(`Invalid data: ${error}`);
+      throw Error(error);
+    }
+
+    fields.tags = (fields.tags ?? []).map((t) => DataStorage.slugifyTag(t)).filter(Boolean);
+
+    let entry;
+    try {
+      if (this.entry) {
+        // Only submit what has changed so that unchanged fields do not require additional permissions
+        const update = {};
+        for (const [k, v] of Object.entries(fields)) {
+          if (!foundry.utils.objectsEqual({ v }, { v: this.entry[k] })) update[k] = v;
+        }
+        if (!foundry.utils.objectsEqual(data, await this.entry.data())) update.data = data;
+        await this.entry.update(update);
+        entry = this.entry;
+      } else {
+        entry = await DataStorage.store({ ...fields, pack, data });
+      }
+    } catch (e) {
+      ui.notifications.error(e.message);
+      throw e;
+    }
+
+    this.onSave?.(entry);
+  }
+}
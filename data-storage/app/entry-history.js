@@ -0,0 +1,74 @@
+const MODULE_ID = 'data-storage';
+
+export default class EntryHistory extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  constructor({ entry, ...options } = {}) {
+    super({ id: `${MODULE_ID}-history-${entry.id}`, ...options });
+    this.entry = entry;
+  }
+
+  static DEFAULT_OPTIONS = {
+    classes: ['data-browser', 'entry-history'],
+    window: {
+      contentClasses: ['standard-form'],
+      resizable: true,
+      title: 'Entry History',
+    },
+    position: {
+      width: 450,
+      height: 600,
+    },
+    actions: {
+      restore: EntryHistory._onRestore,
+    },
+  };
+
+  /** @override */
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/entry-history.hbs` },
+  };
+
+  /** @override */
+  get title() {
+    return `History: ${this.entry.name}`;
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const history = await this.entry.history();
+
+    const revisions = [];
+    for (const revision of history) {
+      revisions.push({
+        ...revision,
+        date: revision.timestamp ? new Date(revision.timestamp).toLocaleString() : null,
+        userName: game.users.get(revision.user)?.name ?? revision.user,
+        json: JSON.stringify(revision.data, null, 2),
+        diff: revision.current
+          ? null
+          : Object.entries(await this.entry.diff(revision.version)).map(([path, { a, b }]) => ({
+              path,
+              a: JSON.stringify(a),
+              b: JSON.stringify(b),
+            })),
+      });
+    }
+
+    return { entry: this.entry, revisions };
+  }
+
+  static async _onRestore(event, target) {
+    const version = Number(target.closest('[data-version]').dataset.version);
+    const name = foundry.utils.escapeHTML(this.entry.name);
+
+    const confirm = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Restore Revision' },
+      content: `<p>Restore <strong>${name}</strong> data to version ${version}?</p>`,
+    });
+    if (!confirm) return;
+
+    await this.entry.revert(version);
+    this.render(true);
+  }
+}
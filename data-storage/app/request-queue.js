@@ -0,0 +1,91 @@
+const MODULE_ID = 'data-storage';
+
+export default class RequestQueue extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-request-queue`,
+    classes: ['data-browser', 'request-queue'],
+    window: {
+      contentClasses: ['standard-form'],
+      resizable: true,
+      title: 'Player Request Queue',
+    },
+    position: {
+      width: 500,
+      height: 600,
+    },
+    actions: {
+      approve: RequestQueue._onApprove,
+      reject: RequestQueue._onReject,
+      approveSelected: RequestQueue._onApproveSelected,
+      rejectSelected: RequestQueue._onRejectSelected,
+      selectAll: RequestQueue._onSelectAll,
+    },
+  };
+
+  /** @override */
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/request-queue.hbs` },
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const requests = [];
+    for (const message of DataStorage._approvalQueue) {
+      const { requestId, ...args } = message.args;
+
+      let summary;
+      if (message.handlerName === 'delete' || message.handlerName === 'update') {
+        const entry = await DataStorage.retrieve({ uuid: args.uuid });
+        summary = entry ? `${entry.name} [${entry.type}]` : args.uuid;
+      } else if (args.options) {
+        summary = `${args.options.name ?? 'New Entry'} [${args.options.type ?? DataStorage.DEFAULT_TYPE}]`;
+      } else {
+        const count = (args.optionsList ?? args.updates ?? args.uuids)?.length ?? 0;
+        summary = `${count} entries`;
+      }
+
+      requests.push({
+        requestId,
+        handlerName: message.handlerName,
+        userName: game.users.get(message.userId)?.name ?? message.userId,
+        date: new Date(message.received).toLocaleString(),
+        summary,
+        preview: JSON.stringify(args, null, 2),
+      });
+    }
+
+    return { requests };
+  }
+
+  _getSelected() {
+    return Array.from(this.element.querySelectorAll('input[name="selected"]:checked')).map((i) => i.value);
+  }
+
+  static async _onApprove(event, target) {
+    await DataStorage.approveRequests([target.closest('[data-request-id]').dataset.requestId]);
+    this.render(true);
+  }
+
+  static async _onReject(event, target) {
+    DataStorage.rejectRequests([target.closest('[data-request-id]').dataset.requestId]);
+    this.render(true);
+  }
+
+  static async _onApproveSelected(event) {
+    await DataStorage.approveRequests(this._getSelected());
+    this.render(true);
+  }
+
+  static async _onRejectSelected(event) {
+    DataStorage.rejectRequests(this._getSelected());
+    this.render(true);
+  }
+
+  static _onSelectAll(event) {
+    const inputs = this.element.querySelectorAll('input[name="selected"]');
+    const checked = Array.from(inputs).some((i) => !i.checked);
+    inputs.forEach((i) => (i.checked = checked));
+  }
+}
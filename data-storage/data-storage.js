@@ -1,4 +1,6 @@
 import DataBrowser from './app/data-browser.js';
+import RequestQueue from './app/request-queue.js';
+import DocumentTypesConfig from './app/document-types.js';
 
 const MODULE_ID = 'data-storage';
 
@@ -9,7 +11,7 @@ class Entry {
   /**
    * @param {string} id underlying document id
    * @param {string} pack pack the entry is stored within
-   * @param {object} index { name, thumb, tags, type, desc };
+   * @param {object} index { name, thumb, tags, type, desc, owner, access, linked, created, modified, version };
    * @param {Document} document underlying document
    */
   constructor(id, pack, index, document) {
@@ -23,7 +25,7 @@ class Entry {
    * UUID of the underlying Document
    */
   get uuid() {
-    return `Compendium.${this.pack}.${game.packs.get(this.pack).documentClass.name}.${this.id}`;
+    return `Compendium.${this.pack}.${game.packs.get(this.pack).documentName}.${this.id}`;
   }
 
   /**
@@ -32,40 +34,191 @@ class Entry {
    */
   async update(update) {
     if (foundry.utils.isEmpty(update)) return;
+    const { indexUpdate, data } = await this._sanitizeUpdate(update);
 
+    // Players relay the update to a GM, and apply the index resulting from it
+    if (!game.user.isGM) {
+      if (!DataStorage._playerStorePermission) throw Error(DataStorage.PLAYER_STORE_DENIED);
+      const index = await DataStorage.playerUpdate(
+        this.uuid,
+        update.data ? { ...indexUpdate, data: update.data } : indexUpdate
+      );
+      if (index) Object.assign(this, index);
+      return;
+    }
+
+    await DataStorage._updateEntries([{ entry: this, indexUpdate, data }]);
+  }
+
+  /**
+   * Validate update against DataStorage.INDEX_FIELDS, Entry permissions, and the registered data type
+   * @param {object} update object containing DataStorage.INDEX_FIELDS and/or data field
+   * @returns {object} { indexUpdate, data }
+   */
+  async _sanitizeUpdate(update) {
     // Sanitize index fields
     const indexUpdate = {};
-    for (const [k, t] of Object.entries(DataStorage.INDEX_FIELDS)) {
-      if (update[k] != null) {
-        if (foundry.utils.getType(update[k]) !== t)
-          throw Error(`Invalid index field type ${k}:${foundry.utils.getType(update[k])}`);
-        indexUpdate[k] = update[k];
-      }
+    for (const k of Object.keys(DataStorage.INDEX_FIELDS)) {
+      if (update[k] != null && !DataStorage.MANAGED_INDEX_FIELDS.includes(k)) indexUpdate[k] = update[k];
+    }
+    if (Array.isArray(indexUpdate.linked)) indexUpdate.linked = DataStorage._normalizeLinks(indexUpdate.linked);
+    if (Array.isArray(indexUpdate.tags)) {
+      indexUpdate.tags = Array.from(new Set(indexUpdate.tags.map((t) => DataStorage.slugifyTag(t)).filter(Boolean)));
     }
+    DataStorage._validateIndexFields(indexUpdate);
+
+    if (!DataStorage.canAccess(this, DataStorage._updateOperation(indexUpdate)))
+      throw Error(`Permission denied to update Entry: ${this.uuid}`);
+    if (indexUpdate.access) DataStorage._validateAccess(indexUpdate.access);
+
+    // Validate data against the registered type
+    let data = update.data;
+    const type = indexUpdate.type ?? this.type;
+    if (data) data = DataStorage.validateData(type, data);
+    else if (type !== this.type && DataStorage.getType(type)) data = DataStorage.validateData(type, await this.data());
+
+    // Data validated against the current schema is of the current version
+    if (data) indexUpdate.version = DataStorage.getTypeVersion(type);
+
+    return { indexUpdate, data };
+  }
+
+  /**
+   * Apply index changes to this Entry and construct the update of its loaded document
+   * @param {object} indexUpdate
+   * @param {object} [data]
+   * @param {User} [user] User on whose behalf the update is performed, recorded as the author of the new revision
+   * @returns {object} { toUpdate, chunks, discardedChunks } document update, chunk documents to be created beforehand,
+   *                   and IDs of chunk documents to be deleted afterwards
+   */
+  _prepareUpdate(indexUpdate, data, user = game.user) {
+    if (data || !foundry.utils.isEmpty(indexUpdate)) indexUpdate = { ...indexUpdate, modified: Date.now() };
     Object.assign(this, indexUpdate);
 
-    let toUpdate = {};
-    if (update.data) foundry.utils.setProperty(toUpdate, `flags.${MODULE_ID}.data`, [update.data]);
+    const toUpdate = {};
+    let chunks = [];
+    let discardedChunks = [];
+    if (data) {
+      // Large payloads are split into chunk documents which need to exist before the entry references them
+      let payload;
+      ({ payload, chunks } = DataStorage._chunkPayload(data, this.id));
+
+      const { payloads, revisions, discarded } = this._revise(payload, user);
+      foundry.utils.setProperty(toUpdate, `flags.${MODULE_ID}.data`, payloads);
+      foundry.utils.setProperty(toUpdate, `flags.${MODULE_ID}.revisions`, revisions);
+      discardedChunks = discarded.flatMap((p) => DataStorage._chunkIds(p));
+    }
     if (!foundry.utils.isEmpty(indexUpdate))
       foundry.utils.setProperty(toUpdate, `flags.${MODULE_ID}.index`, indexUpdate);
 
-    // Apply update
-    if (!foundry.utils.isEmpty(toUpdate)) {
-      if (!this.document) await this.load();
-      await this.document.update(toUpdate);
+    return { toUpdate, chunks, discardedChunks };
+  }
+
+  /**
+   * Prepend data as a new revision, discarding revisions beyond the configured history length
+   * @param {object} data
+   * @param {User} [user] author of the revision
+   * @returns {object} { payloads, revisions, discarded }
+   */
+  _revise(data, user = game.user) {
+    const payloads = this.document.getFlag(MODULE_ID, 'data') ?? [];
+    const revisions = this._revisions(payloads);
+    const length = DataStorage.getHistoryLength(this.type) + 1;
+
+    return {
+      payloads: [data, ...payloads].slice(0, length),
+      revisions: [DataStorage._revision((revisions[0]?.version ?? 0) + 1, user), ...revisions].slice(0, length),
+      discarded: payloads.slice(length - 1),
+    };
+  }
+
+  /**
+   * Revision metadata of the loaded document.
+   * Documents stored before revisions were recorded are assigned sequential versions.
+   * @param {Array[object]} payloads
+   * @returns {Array[object]} [{ version, timestamp, user }]
+   */
+  _revisions(payloads) {
+    const revisions = this.document.getFlag(MODULE_ID, 'revisions') ?? [];
+    if (revisions.length === payloads.length) return revisions;
+    return payloads.map((_, i) => revisions[i] ?? { version: payloads.length - i, timestamp: null, user: null });
+  }
+
+  /**
+   * Retrieve revision history of the data, newest first
+   * @returns {Array[object]} [{ version, timestamp, user, data, current }]
+   */
+  async history() {
+    await this.load();
+    const payloads = this.document.getFlag(MODULE_ID, 'data') ?? [];
+
+    const history = [];
+    for (const [i, revision] of this._revisions(payloads).entries()) {
+      const data = await DataStorage._resolvePayload(this.pack, payloads[i]);
+      history.push({ ...revision, data, current: i === 0 });
+    }
+    return history;
+  }
+
+  /**
+   * Restore data of a past revision. The restored data is stored as a new revision.
+   * @param {number} version
+   */
+  async revert(version) {
+    const revision = (await this.history()).find((r) => r.version === version);
+    if (!revision) throw Error(`Revision ${version} not found: ${this.uuid}`);
+    if (revision.current) return;
+    return this.update({ data: foundry.utils.deepClone(revision.data) });
+  }
+
+  /**
+   * Compare data of two revisions
+   * @param {number} a  version
+   * @param {number} [b] version, defaults to the current revision
+   * @returns {object} flattened paths of changed values { [path]: { a, b } }
+   */
+  async diff(a, b) {
+    const history = await this.history();
+    const revA = history.find((r) => r.version === a);
+    const revB = b == null ? history[0] : history.find((r) => r.version === b);
+    if (!revA || !revB) throw Error(`Revision ${revA ? b : a} not found: ${this.uuid}`);
+
+    const flatA = foundry.utils.flattenObject(revA.data ?? {});
+    const flatB = foundry.utils.flattenObject(revB.data ?? {});
+
+    const diff = {};
+    for (const path of new Set([...Object.keys(flatA), ...Object.keys(flatB)])) {
+      if (!foundry.utils.objectsEqual(flatA[path], flatB[path])) diff[path] = { a: flatA[path], b: flatB[path] };
     }
+    return diff;
   }
 
   /**
-   * Retrieve data stored within the document
+   * Retrieve data stored within the document.
+   * Data of an outdated version is migrated using DataStorage.registerMigration(...) functions, and if the user has
+   * write access the migrated data is stored.
    * @returns {object}
    */
   data() {
-    if (!this.document)
-      return this.load().then((document) => {
-        return document.getFlag(MODULE_ID, 'data')[0];
-      });
-    else return this.document.getFlag(MODULE_ID, 'data')[0];
+    if (DataStorage._isOutdated(this)) {
+      if (!this._migrating) this._migrating = DataStorage._migrateEntry(this).finally(() => (this._migrating = null));
+      return this._migrating;
+    }
+    if (!this.document) return this.load().then(() => this._currentData());
+    else return this._currentData();
+  }
+
+  /**
+   * Current data of the loaded document, assembled from chunk documents if it was too large to be stored as one
+   * @returns {object|Promise<object>}
+   */
+  _currentData() {
+    const payload = this.document.getFlag(MODULE_ID, 'data')[0];
+    const chunkIds = DataStorage._chunkIds(payload);
+    if (!chunkIds.length) return payload;
+
+    if (this._assembled?.key === chunkIds.join()) return this._assembled.data;
+    return DataStorage._loadChunks([this]).then(() => this._assembled.data);
   }
 
   /**
@@ -75,6 +228,7 @@ class Entry {
   async load() {
     if (!this.document) this.document = await fromUuid(this.uuid);
     if (!this.document) throw Error(`Unable to load Entry: ${this.uuid}`);
+    await DataStorage._loadChunks([this]);
     return this.document;
   }
 
@@ -82,13 +236,201 @@ class Entry {
    * Delete underlying document
    * @returns
    */
-  async delete() {
+  async delete({ onLinked = 'nullify' } = {}) {
+    if (!DataStorage.canAccess(this, 'write')) throw Error(`Permission denied to delete Entry: ${this.uuid}`);
+    DataStorage._validateOnLinked(onLinked);
+
     if (!game.user.isGM) {
-      if (DataStorage._playerStorePermission) await DataStorage.playerDelete(this.uuid);
-    } else await game.packs.get(this.pack)?.documentClass.deleteDocuments([this.id], { pack: this.pack });
+      if (!DataStorage._playerStorePermission) throw Error(DataStorage.PLAYER_STORE_DENIED);
+      await DataStorage.playerDelete(this.uuid, { onLinked });
+    } else await DataStorage._deleteLinked([this], { onLinked });
 
     return this;
   }
+
+  /**
+   * Entries this Entry links to
+   * @param {string} [type] only return links of this type
+   * @returns {Array[object]} [{ type, uuid, entry }] entry is undefined if the linked entry does not exist or is not accessible
+   */
+  async links(type) {
+    const links = (this.linked ?? []).filter((link) => !type || link.type === type);
+    const entries = await DataStorage._getAlignedEntries(links.map((link) => link.uuid));
+    return links.map((link, i) => ({
+      ...link,
+      entry: entries[i] && DataStorage.canAccess(entries[i]) ? entries[i] : undefined,
+    }));
+  }
+
+  /**
+   * Entries linking to this Entry
+   * @param {string} [type] only return entries linking using this type
+   * @returns {Array[Entry]}
+   */
+  async backlinks(type) {
+    return DataStorage._find({ linksTo: this.uuid, linkType: type });
+  }
+}
+
+/**
+ * Key-value store backed by entries of a namespace specific type
+ */
+class Namespace {
+  /**
+   * @param {string} name namespace
+   * @param {string} pack pack the keys are stored within
+   */
+  constructor(name, pack) {
+    this.name = name;
+    this.pack = pack;
+    this.type = DataStorage.NAMESPACE_TYPE_PREFIX + name;
+
+    // key -> { uuid, modified, value }
+    this._cache = new Map();
+
+    // key -> Promise of the last write to the key
+    this._writes = new Map();
+  }
+
+  /**
+   * Entry storing the value of the key
+   * @param {string} key
+   * @returns {Entry|undefined}
+   */
+  async _entry(key) {
+    if (typeof key !== 'string' || !key) throw Error('Key must be a non-empty string.');
+    return (await this._entries()).find((entry) => entry.name === key);
+  }
+
+  /**
+   * Accessible entries of the namespace within its pack
+   * @returns {Array[Entry]}
+   */
+  async _entries() {
+    const entries = await DataStorage._packEntries(this.pack);
+    return entries.filter((entry) => entry.type === this.type && DataStorage.canAccess(entry));
+  }
+
+  /**
+   * Retrieve the value stored under the key
+   * @param {string} key
+   * @param {*} [defaultValue] returned if the key does not exist
+   * @returns {*}
+   */
+  async get(key, defaultValue) {
+    const entry = await this._entry(key);
+    if (!entry) {
+      this._cache.delete(key);
+      return defaultValue;
+    }
+
+    // Index 'modified' timestamps are kept current on all clients, allowing changes made elsewhere to be detected
+    if (this._isCached(entry)) return foundry.utils.deepClone(this._cache.get(key).value);
+
+    const value = (await entry.data())?.value;
+    this._cache.set(key, { uuid: entry.uuid, modified: entry.modified, value });
+    return foundry.utils.deepClone(value);
+  }
+
+  /**
+   * Store the value under the key, replacing the current value if the key already exists
+   * @param {string} key
+   * @param {*} value any JSON serializable value
+   * @returns {Entry}
+   */
+  async set(key, value) {
+    if (value === undefined) throw Error('Value cannot be undefined, use delete(key) instead.');
+    return this._write(key, async () => {
+      value = foundry.utils.deepClone(value);
+      let entry = await this._entry(key);
+      if (entry) await entry.update({ data: { value } });
+      else entry = await DataStorage.upsert({ name: key, type: this.type, pack: this.pack, data: { value } });
+      if (!entry) throw Error(`Unable to store key: ${key}`);
+
+      this._cache.set(key, { uuid: entry.uuid, modified: entry.modified, value });
+      return entry;
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} true if the key exists
+   */
+  async has(key) {
+    return Boolean(await this._entry(key));
+  }
+
+  /**
+   * Delete the key
+   * @param {string} key
+   * @returns {boolean} true if the key existed and has been deleted
+   */
+  async delete(key) {
+    return this._write(key, async () => {
+      this._cache.delete(key);
+      const entry = await this._entry(key);
+      if (!entry) return false;
+      await entry.delete();
+      return true;
+    });
+  }
+
+  /**
+   * @returns {Array[string]} all keys within the namespace
+   */
+  async keys() {
+    return (await this._entries()).map((entry) => entry.name);
+  }
+
+  /**
+   * @returns {Array[Array]} all [key, value] pairs within the namespace
+   */
+  async entries() {
+    const entries = await this._entries();
+    await DataStorage._batchLoadEntries(entries.filter((entry) => !this._isCached(entry)));
+
+    const pairs = [];
+    for (const entry of entries) {
+      if (!this._isCached(entry)) {
+        const value = (await entry.data())?.value;
+        this._cache.set(entry.name, { uuid: entry.uuid, modified: entry.modified, value });
+      }
+      pairs.push([entry.name, foundry.utils.deepClone(this._cache.get(entry.name).value)]);
+    }
+    return pairs;
+  }
+
+  /**
+   * @param {Entry} entry
+   * @returns {boolean} true if the cached value of the entry is current
+   */
+  _isCached(entry) {
+    const cached = this._cache.get(entry.name);
+    return cached?.uuid === entry.uuid && cached.modified === entry.modified;
+  }
+
+  /**
+   * Perform writes to the same key sequentially so that concurrent writes do not create duplicate keys.
+   * Players not permitted to store data are rejected upfront as their writes would otherwise be silently skipped.
+   * @param {string} key
+   * @param {Function} write
+   * @returns {Promise}
+   */
+  _write(key, write) {
+    if (!game.user.isGM && !DataStorage._playerStorePermission) {
+      return Promise.reject(Error(DataStorage.PLAYER_STORE_DENIED));
+    }
+
+    const previous = this._writes.get(key) ?? Promise.resolve();
+    const promise = previous.catch(() => {}).then(write);
+    this._writes.set(key, promise);
+    promise
+      .catch(() => {})
+      .finally(() => {
+        if (this._writes.get(key) === promise) this._writes.delete(key);
+      });
+    return promise;
+  }
 }
 
 /**
@@ -102,38 +444,166 @@ export class DataStorage {
   static META_INDEX_ID = 'DataStorageMetaD';
 
   // Entry fields stored within the index
-  static INDEX_FIELDS = { name: 'string', thumb: 'string', tags: 'Array', type: 'string', desc: 'string' };
+  static INDEX_FIELDS = {
+    name: 'string',
+    thumb: 'string',
+    tags: 'Array',
+    type: 'string',
+    desc: 'string',
+    owner: 'string',
+    access: 'string',
+    linked: 'Array',
+    created: 'number',
+    modified: 'number',
+    version: 'number',
+  };
+
+  // Behaviours applied to entries linking to deleted entries
+  static LINK_BEHAVIOURS = ['restrict', 'cascade', 'nullify'];
+
+  // Type assigned to links declared without one
+  static DEFAULT_LINK_TYPE = 'related';
+
+  // Separates levels of hierarchical tags e.g. tmfx/filter
+  static TAG_SEPARATOR = '/';
+
+  // Index fields maintained by Data Storage which cannot be set through store(...) or update(...)
+  static MANAGED_INDEX_FIELDS = ['created', 'modified', 'version'];
+
+  // Index fields retrieve(...) results can be sorted by
+  static SORT_FIELDS = ['name', 'type', 'created', 'modified'];
+
+  // Error returned to player requests while the 'playerStorePermission' setting is disabled
+  static PLAYER_STORE_DENIED = 'Players are not permitted to store, update, or delete data.';
+
+  // Entry access levels granted to users other than the owner
+  static ACCESS_LEVELS = ['private', 'shared-read', 'shared-write'];
+
+  // Access level assigned to Entries stored without one
+  static DEFAULT_ACCESS = 'shared-read';
 
   // Default thumbnail image assigned to Entries
   static DEFAULT_THUMB = 'icons/svg/book.svg';
 
-  // Unresolved player store/delete requests
+  // Index fields which can be filtered using 'field:value' within search queries
+  static QUERY_FIELDS = ['name', 'desc', 'pack', 'thumb', 'owner'];
+
+  // Type assigned to Entries stored without one
+  static DEFAULT_TYPE = 'data-storage-generic';
+
+  // Prefix of the type assigned to entries stored via DataStorage.namespace(...)
+  static NAMESPACE_TYPE_PREFIX = 'data-storage-kv.';
+
+  // Key of the object replacing data which has been split into chunk documents
+  static CHUNKS_KEY = '_dataStorageChunks';
+
+  // Version of the bundles produced by DataStorage.export(...)
+  static BUNDLE_VERSION = 1;
+
+  // Unresolved player store/update/delete requests
   static _requests = {};
 
+  // Player requests awaiting GM approval
+  static _approvalQueue = [];
+
+  // META index changes waiting to be written, per pack
+  static _indexUpdates = {};
+
+  // In progress META index writes, per pack
+  static _indexWrites = {};
+
+  // Acknowledgements and responses sent for recently received player requests
+  static _handledRequests = new Map();
+
+  // Types registered via DataStorage.registerType(...)
+  static _types = {};
+
+  // Migrations registered via DataStorage.registerMigration(...) { [type]: { [fromVersion]: { from, to, fn } } }
+  static _migrations = {};
+
+  // Key-value stores returned by DataStorage.namespace(...)
+  static _namespaces = new Map();
+
+  // Live queries created via DataStorage.watch(...)
+  static _watchers = new Set();
+
+  // Browser renderers registered via DataStorage.registerTypeRenderer(...)
+  static _typeRenderers = {};
+
+  // Hooks registered for managed document types { [documentType]: [[hook, id]] }
+  static _documentHooks = {};
+
   // Initialize hooks to manage update, deletion, and creation of managed document types,
   // hiding of managed compendiums, and read player store permission setting
   static _init() {
-    const managedDocumentTypes = game.settings.get(MODULE_ID, 'managedDocumentTypes');
-    for (const documentType of managedDocumentTypes) {
-      Hooks.on(`preUpdate${documentType}`, this._preUpdate.bind(this));
-      Hooks.on(`update${documentType}`, this._update.bind(this));
-      Hooks.on(`delete${documentType}`, this._delete.bind(this));
-      Hooks.on(`preCreate${documentType}`, this._preCreate.bind(this));
-      Hooks.on(`create${documentType}`, this._create.bind(this));
-    }
+    this._registerDocumentHooks(game.settings.get(MODULE_ID, 'managedDocumentTypes'));
 
     Hooks.on('activateCompendiumDirectory', (directory) => {
       if (game.settings.get(MODULE_ID, 'hideManagedPacks'))
-        game.packs
-          .filter((p) => p.index.get(this.META_INDEX_ID))
-          .forEach((pack) => {
-            directory.element.querySelector(`[data-pack="${pack.collection}"]`)?.setAttribute('hidden', true);
-          });
+        this.getManagedPacks().forEach((pack) => {
+          directory.element.querySelector(`[data-pack="${pack.collection}"]`)?.setAttribute('hidden', true);
+        });
     });
 
+    Hooks.on('userConnected', this._onUserConnected.bind(this));
+
     this._playerStorePermission = game.settings.get(MODULE_ID, 'playerStorePermission');
   }
 
+  /**
+   * Register hooks of newly managed document types and unregister those no longer managed
+   * @param {Array[string]} documentTypes
+   */
+  static _registerDocumentHooks(documentTypes) {
+    for (const [documentType, hooks] of Object.entries(this._documentHooks)) {
+      if (documentTypes.includes(documentType)) continue;
+      hooks.forEach(([hook, id]) => Hooks.off(hook, id));
+      delete this._documentHooks[documentType];
+    }
+
+    for (const documentType of documentTypes) {
+      if (this._documentHooks[documentType]) continue;
+      this._documentHooks[documentType] = [
+        ['preUpdate', this._preUpdate],
+        ['update', this._update],
+        ['delete', this._delete],
+        ['preCreate', this._preCreate],
+        ['create', this._create],
+      ].map(([event, fn]) => [event + documentType, Hooks.on(event + documentType, fn.bind(this))]);
+    }
+  }
+
+  /**
+   * Document types which can act as storage, the first one is used when creating new packs
+   * @returns {Array[string]}
+   */
+  static getManagedDocumentTypes() {
+    return game.settings.get(MODULE_ID, 'managedDocumentTypes');
+  }
+
+  /**
+   * Set document types which can act as storage. Types used by existing managed packs cannot be removed.
+   * @param {Array[string]} documentTypes compendium document types, the first one is used when creating new packs
+   */
+  static async setManagedDocumentTypes(documentTypes) {
+    if (!game.user.isGM) throw Error('Only GMs can change managed document types.');
+    documentTypes = Array.from(new Set(documentTypes));
+    if (!documentTypes.length) throw Error('At least one managed document type is required.');
+
+    for (const documentType of documentTypes) {
+      if (!CONST.COMPENDIUM_DOCUMENT_TYPES.includes(documentType))
+        throw Error(`Invalid compendium document type: ${documentType}`);
+    }
+
+    const inUse = this.getManagedPacks().filter((pack) => !documentTypes.includes(pack.documentName));
+    if (inUse.length) {
+      const packs = inUse.map((pack) => `${pack.collection} (${pack.documentName})`).join(', ');
+      throw Error(`Document types are in use by managed packs: ${packs}`);
+    }
+
+    await game.settings.set(MODULE_ID, 'managedDocumentTypes', documentTypes);
+  }
+
   /**
    * Open application to view and delete records
    */
@@ -141,6 +611,14 @@ export class DataStorage {
     new DataBrowser().render(true);
   }
 
+  /**
+   * Returns all compendiums containing a metadata document
+   * @returns {Array[CompendiumCollection]}
+   */
+  static getManagedPacks() {
+    return game.packs.filter((pack) => pack.index.get(this.META_INDEX_ID));
+  }
+
   /**
    * =============================================================================
    * =================================== Hooks ===================================
@@ -157,19 +635,32 @@ export class DataStorage {
   static _preCreate(document, data, options, userId) {
     if (
       document.collection.index?.get(this.META_INDEX_ID) &&
+      !this._isChunk(document) &&
       !foundry.utils.getProperty(data, `flags.${MODULE_ID}.index`)
     ) {
-      foundry.utils.setProperty(data, `flags.${MODULE_ID}.index`, {
-        name: document.name,
-        thumb: this.DEFAULT_THUMB,
-        tags: [],
-        type: 'generic',
-        desc: '',
-      });
+      foundry.utils.setProperty(data, `flags.${MODULE_ID}.index`, this._defaultIndex(document));
       foundry.utils.setProperty(data, `flags.${MODULE_ID}.data`, []);
     }
   }
 
+  /**
+   * Index assigned to documents which have been created without the use of Data Storage API
+   * @param {Document} document
+   * @returns {object}
+   */
+  static _defaultIndex(document) {
+    return {
+      name: document.name,
+      thumb: this.DEFAULT_THUMB,
+      tags: [],
+      type: 'generic',
+      desc: '',
+      linked: [],
+      created: document._stats?.createdTime ?? Date.now(),
+      modified: document._stats?.modifiedTime ?? Date.now(),
+    };
+  }
+
   /**
    * Newly created documents within managed compendiums automatically update metadata document index
    * @param {Document} document
@@ -178,28 +669,72 @@ export class DataStorage {
    * @returns
    */
   static _create(document, options, userId) {
-    if (game.user.id === userId && document.collection.index?.get(this.META_INDEX_ID)) {
-      document.collection.getDocument(this.META_INDEX_ID).then((metaDocument) => {
-        const index = document.getFlag(MODULE_ID, 'index');
-        metaDocument.setFlag(MODULE_ID, 'index', { [document.id]: index });
-      });
+    if (
+      document.id !== this.META_INDEX_ID &&
+      !this._isChunk(document) &&
+      document.collection.index?.get(this.META_INDEX_ID)
+    ) {
+      const index = document.getFlag(MODULE_ID, 'index');
+      if (game.user.id === userId) this._queueIndexUpdate(document.pack, { set: { [document.id]: index } });
+
+      Hooks.callAll(
+        'dataStorage.store',
+        new Entry(document.id, document.pack, index, document),
+        { previous: null, next: index, data: this._hookPayload(document) },
+        this._hookUserId(options, userId)
+      );
     }
   }
 
   /**
    * Document deletion within managed collection automatically remove it from the metadata document index
+   * along with any chunk documents holding its data
    * @param {Document} document
    * @param {object} options
    * @param {string} userId
    */
   static _delete(document, options, userId) {
-    if (game.user.id === userId && document.collection.index?.get(this.META_INDEX_ID)) {
-      document.collection.getDocument(this.META_INDEX_ID).then((metaDocument) => {
-        metaDocument.update({ [`flags.${MODULE_ID}.index.-=${document.id}`]: null });
-      });
+    if (
+      document.id !== this.META_INDEX_ID &&
+      !this._isChunk(document) &&
+      document.collection.index?.get(this.META_INDEX_ID)
+    ) {
+      if (game.user.id === userId) {
+        const chunks = (document.getFlag(MODULE_ID, 'data') ?? []).flatMap((p) => this._chunkIds(p));
+        this._queueIndexUpdate(document.pack, { remove: [document.id], chunks });
+      }
+
+      const index = document.getFlag(MODULE_ID, 'index');
+      Hooks.callAll(
+        'dataStorage.delete',
+        new Entry(document.id, document.pack, index, document),
+        { previous: index, next: null },
+        this._hookUserId(options, userId)
+      );
     }
   }
 
+  /**
+   * ID of the user passed on to 'dataStorage.*' hooks. Player requests are executed by a GM on behalf of the player,
+   * whose ID is provided within the operation options.
+   * @param {object} options document operation options
+   * @param {string} userId  ID of the user who performed the document operation
+   * @returns {string}
+   */
+  static _hookUserId(options, userId) {
+    return options[MODULE_ID]?.user ?? userId;
+  }
+
+  /**
+   * Current data of a document passed on to 'dataStorage.*' hooks, undefined if the data has been split into chunks
+   * @param {Document} document
+   * @returns {object|undefined}
+   */
+  static _hookPayload(document) {
+    const payload = document.getFlag(MODULE_ID, 'data')?.[0];
+    return this._chunkIds(payload).length ? undefined : payload;
+  }
+
   /**
    * Sync Document and index names
    * @param {Document} document
@@ -227,7 +762,7 @@ export class DataStorage {
    * @returns
    */
   static _update(document, change, options, userId) {
-    if (document.collection.index?.get(this.META_INDEX_ID)) {
+    if (document.collection.index?.get(this.META_INDEX_ID) && !this._isChunk(document)) {
       // Handle entry document update
       if (
         document.id !== this.META_INDEX_ID &&
@@ -235,10 +770,27 @@ export class DataStorage {
         foundry.utils.getProperty(change, `flags.${MODULE_ID}.index`)
       ) {
         const indexChanges = foundry.utils.getProperty(change, `flags.${MODULE_ID}.index`);
+        this._queueIndexUpdate(document.pack, { set: { [document.id]: indexChanges } });
+      }
 
-        document.collection.getDocument(this.META_INDEX_ID).then((metaDocument) => {
-          metaDocument.update({ [`flags.${MODULE_ID}.index.${document.id}`]: indexChanges });
-        });
+      // Notify of entry index and/or data changes
+      if (
+        document.id !== this.META_INDEX_ID &&
+        (foundry.utils.hasProperty(change, `flags.${MODULE_ID}.index`) ||
+          foundry.utils.hasProperty(change, `flags.${MODULE_ID}.data`))
+      ) {
+        const index = document.getFlag(MODULE_ID, 'index');
+        const dataChanged = foundry.utils.hasProperty(change, `flags.${MODULE_ID}.data`);
+        Hooks.callAll(
+          'dataStorage.update',
+          new Entry(document.id, document.pack, index, document),
+          {
+            previous: options[MODULE_ID]?.previous?.[document.id] ?? null,
+            next: index,
+            data: dataChanged ? this._hookPayload(document) : undefined,
+          },
+          this._hookUserId(options, userId)
+        );
       }
 
       // Handle meta document update
@@ -265,6 +817,28 @@ export class DataStorage {
           }
         }
       }
+
+      // Handle meta document full-text index update
+      if (
+        document.id === this.META_INDEX_ID &&
+        document.collection._dataStorageFullText &&
+        foundry.utils.getProperty(change, `flags.${MODULE_ID}.fullText`)
+      ) {
+        const fullText = document.collection._dataStorageFullText;
+        for (const [id, tokens] of Object.entries(foundry.utils.getProperty(change, `flags.${MODULE_ID}.fullText`))) {
+          if (id.startsWith('-=')) this._setFullTextTokens(fullText, id.substring(2), null);
+          else this._setFullTextTokens(fullText, id, tokens);
+        }
+      }
+
+      // Live queries may be affected by any index change
+      if (
+        document.id === this.META_INDEX_ID &&
+        (foundry.utils.hasProperty(change, `flags.${MODULE_ID}.index`) ||
+          foundry.utils.hasProperty(change, `flags.${MODULE_ID}.fullText`))
+      ) {
+        this._scheduleWatchers();
+      }
     }
   }
 
@@ -280,8 +854,7 @@ export class DataStorage {
     // Get/Create compendium
     let compendium = game.packs.get(packId);
     if (!compendium && packId === this.DEFAULT_PACK) {
-      // Use any managed document type
-      const type = game.settings.get(MODULE_ID, 'managedDocumentTypes')[0];
+      const type = this.getManagedDocumentTypes()[0];
 
       if (!this._creatingDefaultCompendium)
         this._creatingDefaultCompendium = CompendiumCollection.createCompendium({
@@ -297,7 +870,8 @@ export class DataStorage {
     let metadataDocument = await compendium?.getDocument(this.META_INDEX_ID);
     if (compendium && !metadataDocument) {
       if (!compendium._creatingMetadataDocument)
-        compendium._creatingMetadataDocument = compendium.documentClass.createDocuments(
+        compendium._creatingMetadataDocument = this._createDocuments(
+          compendium,
           [
             {
               _id: this.META_INDEX_ID,
@@ -305,10 +879,7 @@ export class DataStorage {
               flags: { [MODULE_ID]: { index: {} } },
             },
           ],
-          {
-            pack: packId,
-            keepId: true,
-          }
+          { keepId: true }
         );
 
       const documents = await compendium._creatingMetadataDocument;
@@ -318,6 +889,103 @@ export class DataStorage {
     return { compendium, metadataDocument };
   }
 
+  /**
+   * Create a new world compendium managed by Data Storage
+   * @param {string} label           Compendium title
+   * @param {object} [options]
+   * @param {string} [options.type]  Document type of the compendium, must be one of the managed document types
+   * @returns {CompendiumCollection}
+   */
+  static async createPack(label, { type } = {}) {
+    if (!game.user.isGM) throw Error('Only GMs can create managed packs.');
+    if (!label) throw Error('Pack label is required.');
+
+    const managedDocumentTypes = this.getManagedDocumentTypes();
+    type = type ?? managedDocumentTypes[0];
+    if (!managedDocumentTypes.includes(type)) throw Error(`Document type is not managed by Data Storage: ${type}`);
+
+    const compendium = await CompendiumCollection.createCompendium({ label, type, packageType: 'world' });
+    await this._initCompendium(compendium.collection);
+    return compendium;
+  }
+
+  /**
+   * Migrate a managed pack to another document type. As a compendium's document type cannot be changed, the pack is
+   * re-created under the same ID with document IDs, data, and the META index preserved. Entry UUIDs only differ in their
+   * document type e.g. Compendium.world.data-storage.JournalEntry.abc => Compendium.world.data-storage.Item.abc
+   * Links to migrated entries are updated.
+   * @param {string} packId
+   * @param {string} type   Managed document type to migrate to
+   * @returns {Map<string, string>} old UUID -> new UUID
+   */
+  static async migratePack(packId, type) {
+    if (!game.user.isGM) throw Error('Only GMs can migrate managed packs.');
+
+    const source = game.packs.get(packId);
+    if (!source?.index.get(this.META_INDEX_ID)) throw Error(`Pack is not managed by Data Storage: ${packId}`);
+    if (source.metadata.packageType !== 'world') throw Error(`Only world packs can be migrated: ${packId}`);
+    if (source.locked) throw Error(`Unable to migrate a locked pack: ${packId}`);
+    if (!this.getManagedDocumentTypes().includes(type))
+      throw Error(`Document type is not managed by Data Storage: ${type}`);
+    if (source.documentName === type) return new Map();
+
+    return this._exclusive(async () => {
+      await this._flushIndexUpdates(packId);
+
+      // Entries are created before the META document so that they are not processed as newly stored entries
+      const documents = (await source.getDocuments()).map((d) => {
+        const { _id, name, flags } = d.toObject();
+        return { _id, name, flags };
+      });
+      const meta = documents.find((d) => d._id === this.META_INDEX_ID);
+      const content = documents.filter((d) => d !== meta);
+
+      const copy = async (compendium) => {
+        await this._createDocuments(compendium, content, { keepId: true, [MODULE_ID]: true });
+        await this._createDocuments(compendium, [meta], { keepId: true });
+      };
+
+      // Data is copied to a temporary pack first so that it is never held solely in memory
+      const { label, name, ownership } = source.metadata;
+      const placement = { folder: source.folder?.id ?? null, sort: source.sort };
+      const temp = await CompendiumCollection.createCompendium({
+        label: `${label} (Migrating)`,
+        type,
+        packageType: 'world',
+      });
+      await copy(temp);
+      if (temp.index.size !== documents.length) throw Error(`Failed to copy all documents of: ${packId}`);
+
+      await source.deleteCompendium();
+      try {
+        const metadata = { label, name, type, ownership, packageType: 'world' };
+        const compendium = await CompendiumCollection.createCompendium(metadata);
+        await copy(compendium);
+        await compendium.configure(placement);
+      } catch (e) {
+        throw Error(`Failed to re-create ${packId}, migrated data remains within: ${temp.collection}`, { cause: e });
+      }
+      await temp.deleteCompendium();
+
+      const uuids = new Map();
+      for (const id of Object.keys(meta.flags[MODULE_ID].index)) {
+        uuids.set(`Compendium.${packId}.${source.documentName}.${id}`, `Compendium.${packId}.${type}.${id}`);
+      }
+      await this._relink(uuids);
+
+      // Caches held by the deleted collection and references to the old UUIDs are discarded or remapped
+      delete source._dataStorageIndex;
+      delete source._dataStorageFullText;
+      for (const namespace of this._namespaces.values()) {
+        for (const cached of namespace._cache.values()) cached.uuid = uuids.get(cached.uuid) ?? cached.uuid;
+      }
+      foundry.applications.instances.get(DataBrowser.DEFAULT_OPTIONS.id)?._onPackMigrated(uuids);
+      this._scheduleWatchers();
+
+      return uuids;
+    });
+  }
+
   /**
    * Store provided data as a document within a compendium
    * Name, thumb, tags, type, and desc are index fields
@@ -329,196 +997,2479 @@ export class DataStorage {
    * @param {Array[string]} [options.tags] Array of tags
    * @param {string} [options.type]        Data type
    * @param {string} [options.desc]        Data description
+   * @param {string} [options.owner]       ID of the User owning the data, defaults to the current user
+   * @param {string} [options.access]      Access granted to other players: 'private', 'shared-read', or 'shared-write'
    * @param {object} [options.data]        Data to be stored
    * @param {object} [options.pack]        The pack the data is to be stored in
    * @returns
    */
   static async store(options = {}) {
-    if (foundry.utils.isEmpty(options.data)) throw Error('No data provided for storage.');
+    options = this._validateStoreOptions(options);
+
     if (!game.user.isGM) {
       if (this._playerStorePermission) return this.playerStore(options);
       else return null;
     }
 
-    const {
-      name = 'New Entry',
-      thumb = this.DEFAULT_THUMB,
-      tags = [],
-      type = 'data-storage-generic',
-      desc = '',
-      data,
-      pack = this.DEFAULT_PACK,
-    } = options;
-
-    const { compendium, metadataDocument } = await this._initCompendium(pack);
-    if (!compendium) throw Error('Unable to retrieve pack: ', pack);
-    else if (compendium.locked) throw Error('Unable to store data within a locked compendium.');
+    return (await this._storeEntries([options]))[0];
+  }
 
-    const index = { name, thumb, tags, type, desc };
+  /**
+   * Update an existing entry matching the provided options or store a new one if there is no match.
+   * Matching is performed within the target pack on the GM side, so concurrent upserts do not create duplicates.
+   * @param {object} options DataStorage.store(...) options
+   * @param {object} [settings]
+   * @param {Array[string]} [settings.matchOn] Index fields an existing entry needs to share with the options to match
+   * @returns {Entry}
+   */
+  static async upsert(options = {}, { matchOn = ['name', 'type'] } = {}) {
+    options = this._validateStoreOptions(options);
+    this._validateUniqueFields(matchOn);
 
-    // Verify index fields are valid
-    for (const [k, t] of Object.entries(this.INDEX_FIELDS)) {
-      if (index[k] != null) {
-        if (foundry.utils.getType(index[k]) !== t)
-          throw Error(`Invalid index field type ${k}:${foundry.utils.getType(index[k])}`);
+    if (!game.user.isGM) {
+      if (this._playerStorePermission) return this.playerUpsert(options, matchOn);
+      else return null;
+    }
+
+    return this._exclusive(() => this._upsertEntry(options, matchOn));
+  }
+
+  /**
+   * @param {object} options validated DataStorage.store(...) options
+   * @param {Array[string]} matchOn
+   * @param {User} [user] user on whose behalf the upsert is performed
+   * @returns {Entry}
+   */
+  static async _upsertEntry(options, matchOn, user = game.user) {
+    const pack = options.pack ?? this.DEFAULT_PACK;
+    const index = this._storeIndex(options);
+    const existing = (await this._packEntries(pack)).find((entry) => this._fieldsMatch(entry, index, matchOn));
+    if (!existing) return (await this._storeUnique([options], { user }))[0];
+
+    if (!this.canAccess(existing, 'write', user)) throw Error(`Permission denied to update Entry: ${existing.uuid}`);
+    const { pack: _, owner, access, data, ...fields } = options;
+    const { indexUpdate, data: validated } = await existing._sanitizeUpdate({ ...fields, data });
+    return (await this._updateEntries([{ entry: existing, indexUpdate, data: validated }], { user }))[0];
+  }
+
+  /**
+   * Require a combination of index fields to be unique among entries of a pack.
+   * Constraints registered for a type via DataStorage.registerType(...) take precedence.
+   * @param {string} packId
+   * @param {object|null} constraint { fields, onConflict } or null to remove the constraint
+   *                                 onConflict: 'reject' to throw an error, 'merge' to merge data into the existing entry
+   */
+  static async setUniqueConstraint(packId, constraint) {
+    if (!game.user.isGM) throw Error('Only GMs can configure unique constraints.');
+    constraint = this._normalizeUniqueConstraint(constraint);
+
+    const { compendium, metadataDocument } = await this._initCompendium(packId);
+    if (!compendium) throw Error(`Unable to retrieve pack: ${packId}`);
+
+    await metadataDocument.update({ [`flags.${MODULE_ID}.unique`]: constraint });
+  }
+
+  /**
+   * @param {object|Array[string]|null} constraint
+   * @returns {object|null} { fields, onConflict }
+   */
+  static _normalizeUniqueConstraint(constraint) {
+    if (!constraint) return null;
+    if (Array.isArray(constraint)) constraint = { fields: constraint };
+
+    const { fields, onConflict = 'reject' } = constraint;
+    this._validateUniqueFields(fields);
+    if (!['reject', 'merge'].includes(onConflict)) throw Error(`Invalid onConflict value: ${onConflict}`);
+    return { fields, onConflict };
+  }
+
+  /**
+   * @param {Array[string]} fields
+   */
+  static _validateUniqueFields(fields) {
+    if (!Array.isArray(fields) || !fields.length) throw Error('At least one index field is required for matching.');
+    for (const field of fields) {
+      if (!(field in this.INDEX_FIELDS) || this.MANAGED_INDEX_FIELDS.includes(field))
+        throw Error(`Invalid index field: ${field}`);
+    }
+  }
+
+  /**
+   * Unique constraint applying to entries of the type within the pack
+   * @param {string} pack
+   * @param {string} type
+   * @returns {object|null} { fields, onConflict }
+   */
+  static async _getUniqueConstraint(pack, type) {
+    if (this._types[type]?.unique) return this._types[type].unique;
+    const compendium = game.packs.get(pack);
+    if (!compendium?.index.get(this.META_INDEX_ID)) return null;
+    const metadataDocument = await compendium.getDocument(this.META_INDEX_ID);
+    return metadataDocument.getFlag(MODULE_ID, 'unique') ?? null;
+  }
+
+  /**
+   * @param {string} pack
+   * @returns {Array[Entry]} all entries within a managed pack
+   */
+  static async _packEntries(pack) {
+    const compendium = game.packs.get(pack);
+    if (!compendium?.index.get(this.META_INDEX_ID)) return [];
+    return Array.from(await this._loadIndex(compendium));
+  }
+
+  /**
+   * Index an Entry would be assigned if stored using the provided options
+   * @param {object} options DataStorage.store(...) options
+   * @returns {object}
+   */
+  static _storeIndex(options) {
+    const {
+      name = 'New Entry',
+      thumb = this.DEFAULT_THUMB,
+      tags = [],
+      type = this.DEFAULT_TYPE,
+      desc = '',
+      owner = game.user.id,
+      access = this.DEFAULT_ACCESS,
+      linked = [],
+    } = options;
+    return {
+      name,
+      thumb,
+      tags: Array.isArray(tags) ? tags.map((t) => this.slugifyTag(t)).filter(Boolean) : tags,
+      type,
+      desc,
+      owner,
+      access,
+      linked: Array.isArray(linked) ? this._normalizeLinks(linked) : linked,
+    };
+  }
+
+  /**
+   * @param {object} a index
+   * @param {object} b index
+   * @param {Array[string]} fields
+   * @returns {boolean} true if all fields are equal
+   */
+  static _fieldsMatch(a, b, fields) {
+    return fields.every((f) => foundry.utils.objectsEqual({ v: a[f] }, { v: b[f] }));
+  }
+
+  /**
+   * Execute GM-side store operations one at a time so that uniqueness checks and writes are not interleaved
+   * @param {Function} operation
+   * @returns {Promise}
+   */
+  static _exclusive(operation) {
+    const promise = (this._storeLock ?? Promise.resolve()).catch(() => {}).then(operation);
+    this._storeLock = promise;
+    return promise;
+  }
+
+  /**
+   * Store multiple entries using a single document creation and META index update per pack
+   * @param {Array[object]} optionsList array of DataStorage.store(...) options
+   * @returns {Array[Entry]}
+   */
+  static async storeMany(optionsList = []) {
+    optionsList = optionsList.map((options) => this._validateStoreOptions(options));
+    if (!optionsList.length) return [];
+
+    if (!game.user.isGM) {
+      if (this._playerStorePermission) return this.playerStoreMany(optionsList);
+      else return null;
+    }
+
+    return this._storeEntries(optionsList);
+  }
+
+  /**
+   * Update multiple entries using a single document update and META index update per pack
+   * @param {Array[object]} updates array of Entry.update(...) objects each containing the 'uuid' of the Entry to be updated
+   * @returns {Array[Entry]}
+   */
+  static async updateMany(updates = []) {
+    const entries = await this._getAlignedEntries(updates.map((u) => u.uuid));
+
+    const sanitized = [];
+    for (const [i, { uuid, ...update }] of updates.entries()) {
+      if (!entries[i]) throw Error(`Unable to retrieve Entry: ${uuid}`);
+      if (foundry.utils.isEmpty(update)) continue;
+      sanitized.push({ entry: entries[i], update, ...(await entries[i]._sanitizeUpdate(update)) });
+    }
+    if (!sanitized.length) return [];
+
+    if (!game.user.isGM) {
+      if (!this._playerStorePermission) return null;
+      await this.playerUpdateMany(
+        sanitized.map(({ entry, update, indexUpdate }) => ({
+          uuid: entry.uuid,
+          ...indexUpdate,
+          ...(update.data ? { data: update.data } : {}),
+        }))
+      );
+      sanitized.forEach(({ entry, indexUpdate }) => Object.assign(entry, indexUpdate));
+      return sanitized.map((s) => s.entry);
+    }
+
+    return this._updateEntries(sanitized);
+  }
+
+  /**
+   * Delete multiple entries using a single document deletion and META index update per pack
+   * @param {Array[string|Entry]} uuids Entries or their UUIDs
+   * @param {object} [options]
+   * @param {string} [options.onLinked] 'restrict', 'cascade', or 'nullify' entries linking to the deleted entries
+   * @returns {Array[Entry]}
+   */
+  static async deleteMany(uuids = [], { onLinked = 'nullify' } = {}) {
+    this._validateOnLinked(onLinked);
+    uuids = uuids.map((u) => (u instanceof Entry ? u.uuid : u));
+    const entries = await this._getAlignedEntries(uuids);
+
+    for (const [i, entry] of entries.entries()) {
+      if (!entry) throw Error(`Unable to retrieve Entry: ${uuids[i]}`);
+      if (!this.canAccess(entry, 'write')) throw Error(`Permission denied to delete Entry: ${entry.uuid}`);
+    }
+    if (!entries.length) return [];
+
+    if (!game.user.isGM) {
+      if (!this._playerStorePermission) return null;
+      await this.playerDeleteMany(entries.map((e) => e.uuid), { onLinked });
+      return entries;
+    }
+
+    return this._deleteLinked(entries, { onLinked });
+  }
+
+  /**
+   * Move entries to another pack. Moved entries are assigned new UUIDs and retain their revision history.
+   * @param {Array[string|Entry]} uuids UUIDs of entries or Entries to be moved
+   * @param {string} packId             Destination pack
+   * @returns {object} { entries, merged } moved entries, and those among them which have been merged into existing
+   *                   entries due to unique constraints of the destination pack
+   */
+  static async moveEntries(uuids, packId) {
+    return this._transferEntries(uuids, packId, { move: true });
+  }
+
+  /**
+   * Copy entries to another pack
+   * @param {Array[string|Entry]} uuids UUIDs of entries or Entries to be copied
+   * @param {string} packId             Destination pack
+   * @returns {object} { entries, merged } copies, and those among them which have been merged into existing
+   *                   entries due to unique constraints of the destination pack
+   */
+  static async copyEntries(uuids, packId) {
+    return this._transferEntries(uuids, packId, { move: false });
+  }
+
+  /**
+   * Re-create entries within the destination pack preserving their index and data, and if moving delete the originals
+   * @param {Array[string|Entry]} uuids
+   * @param {string} packId
+   * @param {object} options
+   * @param {boolean} options.move
+   * @returns {object} { entries, merged }
+   */
+  static async _transferEntries(uuids, packId, { move }) {
+    if (!game.user.isGM) throw Error('Only GMs can move or copy entries between packs.');
+
+    uuids = uuids.map((u) => (u instanceof Entry ? u.uuid : u));
+    const entries = await this._getAlignedEntries(uuids);
+    for (const [i, entry] of entries.entries()) {
+      if (!entry) throw Error(`Unable to retrieve Entry: ${uuids[i]}`);
+      if (move && entry.pack === packId) throw Error(`Entry is already within pack ${packId}: ${entry.uuid}`);
+    }
+    if (!entries.length) return { entries: [], merged: [] };
+
+    const { compendium } = await this._initCompendium(packId);
+    if (!compendium) throw Error(`Unable to retrieve pack: ${packId}`);
+
+    await this._batchLoadEntries(entries);
+    const optionsList = [];
+    for (const entry of entries) {
+      const options = { pack: packId, data: foundry.utils.deepClone(await entry.data()) };
+      for (const k of Object.keys(this.INDEX_FIELDS)) {
+        if (entry[k] != null) options[k] = foundry.utils.deepClone(entry[k]);
+      }
+      if (move) options.history = await entry.history();
+      optionsList.push(options);
+    }
+
+    // Moved entries retain their timestamps and revision history, copies are new entries.
+    // Entries stored into existing entries of the destination pack are identified as merged.
+    const { transferred, merged } = await this._exclusive(async () => {
+      const existing = new Set((await this._packEntries(packId)).map((e) => e.uuid));
+      const transferred = await this._storeUnique(optionsList, { keepTimestamps: move, keepHistory: move });
+      return { transferred, merged: transferred.filter((e) => e && existing.has(e.uuid)) };
+    });
+    // Originals of entries vetoed by 'dataStorage.preStore' hooks are kept
+    if (move) {
+      // Links to moved entries are updated to point to their new UUIDs
+      const moved = entries.filter((_, i) => transferred[i]);
+      await this._relink(new Map(moved.map((e) => [e.uuid, transferred[entries.indexOf(e)].uuid])));
+      await this._deleteEntries(moved);
+    }
+
+    return { entries: transferred, merged: Array.from(new Set(merged)) };
+  }
+
+  /**
+   * Returns Entries in the same order as the provided UUIDs, undefined where an Entry could not be found
+   * @param {Array[string]} uuids
+   * @returns {Array[Entry|undefined]}
+   */
+  static async _getAlignedEntries(uuids) {
+    const entries = await this.getEntriesFromUUID(uuids, { load: false });
+    const uuidToEntry = new Map(entries.filter(Boolean).map((entry) => [entry.uuid, entry]));
+    return uuids.map((uuid) => uuidToEntry.get(uuid));
+  }
+
+  /**
+   * Validate DataStorage.store(...) options and apply defaults of the registered data type
+   * @param {object} options
+   * @returns {object}
+   */
+  static _validateStoreOptions(options) {
+    if (foundry.utils.isEmpty(options.data)) throw Error('No data provided for storage.');
+    return { ...options, data: this.validateData(options.type ?? this.DEFAULT_TYPE, options.data) };
+  }
+
+  /**
+   * Construct the index and document data of a new Entry
+   * @param {object} options DataStorage.store(...) options
+   * @param {object} [settings]
+   * @param {boolean} [settings.keepTimestamps] Use 'created' and 'modified' timestamps provided within the options
+   * @param {boolean} [settings.keepHistory]    Use revision history provided within the options, see Entry.history()
+   * @param {User} [settings.user]             User on whose behalf the entry is stored
+   * @returns {object} { pack, index, data, documents } documents contain the entry document followed by its chunk documents
+   */
+  static _prepareStore(options, { keepTimestamps = false, keepHistory = false, user = game.user } = {}) {
+    const pack = options.pack ?? this.DEFAULT_PACK;
+
+    const now = Date.now();
+    const created = keepTimestamps ? options.created ?? now : now;
+    const modified = keepTimestamps ? options.modified ?? created : now;
+    const index = { ...this._storeIndex(options), created, modified };
+    const type = index.type;
+
+    // Allow the index and data to be modified or the store to be cancelled
+    const _id = foundry.utils.randomID();
+    const changes = { previous: null, next: index, data: options.data };
+    if (Hooks.call('dataStorage.preStore', new Entry(_id, pack, index), changes, user.id) === false) return null;
+    let data = changes.data;
+    if (data !== options.data || index.type !== type) data = this.validateData(index.type, data);
+
+    this._validateAccess(index.access);
+    this._validateIndexFields(index);
+    index.version = this.getTypeVersion(index.type);
+
+    // Slugify tags
+    if (index.tags) {
+      index.tags = index.tags.map((t) => this.slugifyTag(t)).filter(Boolean);
+    }
+
+    // Large payloads are split into chunk documents created alongside the entry document
+    const { payload, chunks } = this._chunkPayload(data, _id);
+    const payloads = [payload];
+    const revisions = [this._revision(1, user)];
+
+    // Past revisions are re-chunked for the new document, the current revision retains its metadata
+    if (keepHistory && options.history?.length) {
+      const [current, ...past] = options.history.slice(0, this.getHistoryLength(index.type) + 1);
+      revisions[0] = { version: current.version, timestamp: current.timestamp, user: current.user };
+      for (const revision of past) {
+        const chunked = this._chunkPayload(revision.data, _id);
+        payloads.push(chunked.payload);
+        chunks.push(...chunked.chunks);
+        revisions.push({ version: revision.version, timestamp: revision.timestamp, user: revision.user });
+      }
+    }
+
+    return {
+      pack,
+      index,
+      data,
+      documents: [{ _id, name: index.name, flags: { [MODULE_ID]: { data: payloads, revisions, index } } }, ...chunks],
+    };
+  }
+
+  /**
+   * Verify that index fields are of the types defined within DataStorage.INDEX_FIELDS
+   * @param {object} index
+   */
+  static _validateIndexFields(index) {
+    for (const [k, t] of Object.entries(this.INDEX_FIELDS)) {
+      if (index[k] != null && foundry.utils.getType(index[k]) !== t)
+        throw Error(`Invalid index field type ${k}:${foundry.utils.getType(index[k])}`);
+    }
+    for (const link of index.linked ?? []) {
+      if (typeof link?.uuid !== 'string' || typeof link.type !== 'string')
+        throw Error(`Invalid link, expected { uuid, type }: ${JSON.stringify(link)}`);
+    }
+  }
+
+  /**
+   * Convert links provided as UUIDs, Entries, or { uuid|entry, type } objects into { uuid, type } objects
+   * @param {Array[string|Entry|object]} links
+   * @returns {Array[object]} [{ uuid, type }]
+   */
+  static _normalizeLinks(links) {
+    return links.map((link) => {
+      if (typeof link === 'string') return { uuid: link, type: this.DEFAULT_LINK_TYPE };
+      if (link instanceof Entry) return { uuid: link.uuid, type: this.DEFAULT_LINK_TYPE };
+      const uuid = link?.entry instanceof Entry ? link.entry.uuid : link?.uuid;
+      return { uuid, type: link?.type ?? this.DEFAULT_LINK_TYPE };
+    });
+  }
+
+  /**
+   * @param {Entry} entry
+   * @param {Set<string>} uuids
+   * @param {string} [type]
+   * @returns {boolean} true if the entry links to any of the UUIDs
+   */
+  static _linksTo(entry, uuids, type) {
+    return (entry.linked ?? []).some((link) => uuids.has(link.uuid) && (!type || link.type === type));
+  }
+
+  /**
+   * @param {string} onLinked
+   */
+  static _validateOnLinked(onLinked) {
+    if (!this.LINK_BEHAVIOURS.includes(onLinked)) throw Error(`Invalid onLinked value: ${onLinked}`);
+  }
+
+  /**
+   * Delete entries applying the onLinked behaviour to entries linking to them
+   *   restrict - deletion fails if other entries link to the deleted entries
+   *   cascade  - entries linking to the deleted entries are deleted as well
+   *   nullify  - links to the deleted entries are removed
+   * @param {Array[Entry]} entries
+   * @param {object} [options]
+   * @param {string} [options.onLinked]
+   * @param {User} [options.user] User on whose behalf the entries are deleted, required to have write access to cascade
+   * @returns {Array[Entry]} deleted entries
+   */
+  static async _deleteLinked(entries, { onLinked = 'nullify', user = game.user } = {}) {
+    this._validateOnLinked(onLinked);
+
+    const deleting = new Map(entries.map((entry) => [entry.uuid, entry]));
+    const all = (await Promise.all(this.getManagedPacks().map((pack) => this._loadIndex(pack)))).flatMap((index) =>
+      Array.from(index)
+    );
+    const linking = () =>
+      all.filter((entry) => !deleting.has(entry.uuid) && this._linksTo(entry, new Set(deleting.keys())));
+
+    let backlinks = linking();
+    if (backlinks.length && onLinked === 'restrict') {
+      const names = backlinks.map((entry) => entry.name).join(', ');
+      throw Error(`Unable to delete, linked to by other entries: ${names}`);
+    }
+
+    if (onLinked === 'cascade') {
+      while (backlinks.length) {
+        for (const entry of backlinks) {
+          if (!this.canAccess(entry, 'write', user)) throw Error(`Permission denied to delete Entry: ${entry.uuid}`);
+          deleting.set(entry.uuid, entry);
+        }
+        backlinks = linking();
+      }
+    }
+
+    await this._deleteEntries(Array.from(deleting.values()), { user });
+
+    // Links to deleted entries are meaningless, so they are removed regardless of the user's access to linking entries
+    if (onLinked === 'nullify' && backlinks.length) {
+      await this._updateEntries(
+        backlinks.map((entry) => ({
+          entry,
+          indexUpdate: { linked: entry.linked.filter((link) => !deleting.has(link.uuid)) },
+        })),
+        { user }
+      );
+    }
+
+    return Array.from(deleting.values());
+  }
+
+  /**
+   * Replace links to entries which have been assigned new UUIDs
+   * @param {Map<string, string>} uuids old UUID -> new UUID
+   */
+  static async _relink(uuids) {
+    const updates = [];
+    for (const pack of this.getManagedPacks()) {
+      for (const entry of await this._loadIndex(pack)) {
+        if (!this._linksTo(entry, uuids)) continue;
+        const linked = entry.linked.map((link) =>
+          uuids.has(link.uuid) ? { ...link, uuid: uuids.get(link.uuid) } : link
+        );
+        updates.push({ entry, indexUpdate: { linked } });
+      }
+    }
+    if (updates.length) await this._updateEntries(updates);
+  }
+
+  /**
+   * Store entries enforcing unique constraints. Store operations are performed one at a time.
+   * @param {Array[object]} optionsList validated DataStorage.store(...) options
+   * @param {object} [settings] See DataStorage._storeUnique(...)
+   * @returns {Array[Entry|null]}
+   */
+  static _storeEntries(optionsList, settings) {
+    return this._exclusive(() => this._storeUnique(optionsList, settings));
+  }
+
+  /**
+   * Store entries, rejecting or merging those which violate the unique constraint of their type or pack
+   * @param {Array[object]} optionsList validated DataStorage.store(...) options
+   * @param {object} [settings] See DataStorage._prepareStore(...)
+   * @param {User} [settings.user] User on whose behalf the entries are stored, required to have write access to merge
+   * @returns {Array[Entry|null]} stored or merged into entries, null in place of vetoed entries
+   */
+  static async _storeUnique(optionsList, { user = game.user, ...settings } = {}) {
+    const toCreate = [];
+    const toMerge = [];
+    const pending = [];
+    const targets = []; // Index of the options within toCreate or toMerge which will produce the result of each option
+    for (const options of optionsList) {
+      const pack = options.pack ?? this.DEFAULT_PACK;
+      const index = this._storeIndex(options);
+      const constraint = await this._getUniqueConstraint(pack, index.type);
+
+      if (constraint) {
+        const { fields, onConflict } = constraint;
+        const existing = (await this._packEntries(pack)).find((entry) => this._fieldsMatch(entry, index, fields));
+        const batched = pending.find((p) => p.pack === pack && this._fieldsMatch(p.index, index, fields));
+
+        if ((existing || batched) && onConflict !== 'merge')
+          throw Error(`Duplicate entry within ${pack}, an entry with the same ${fields.join(', ')} already exists.`);
+
+        if (existing) {
+          if (!this.canAccess(existing, 'write', user))
+            throw Error(`Permission denied to merge into Entry: ${existing.uuid}`);
+          const merge = toMerge.find((m) => m.entry === existing);
+          if (merge) merge.data = foundry.utils.mergeObject(merge.data, options.data, { inplace: false });
+          else toMerge.push({ entry: existing, options, data: options.data });
+          targets.push({ merge: existing });
+          continue;
+        } else if (batched) {
+          batched.options.data = foundry.utils.mergeObject(batched.options.data, options.data, { inplace: false });
+          targets.push({ create: batched.options });
+          continue;
+        }
+        pending.push({ pack, index, options: { ...options } });
+        toCreate.push(pending.at(-1).options);
+        targets.push({ create: pending.at(-1).options });
+        continue;
+      }
+
+      toCreate.push(options);
+      targets.push({ create: options });
+    }
+
+    // Merge data into existing entries
+    const updates = [];
+    for (const { entry, options, data } of toMerge) {
+      const { pack, owner, access, data: _, ...fields } = options;
+      const merged = foundry.utils.mergeObject(await entry.data(), data, { inplace: false });
+      updates.push({ entry, ...(await entry._sanitizeUpdate({ ...fields, data: merged })) });
+    }
+    if (updates.length) await this._updateEntries(updates, { user });
+
+    const created = await this._createEntries(toCreate, { ...settings, user });
+    return targets.map((t) => (t.merge ? t.merge : created[toCreate.indexOf(t.create)]));
+  }
+
+  /**
+   * Create entry documents grouped by pack and wait for the META indexes to be updated
+   * @param {Array[object]} optionsList validated DataStorage.store(...) options
+   * @param {object} [settings] See DataStorage._prepareStore(...)
+   * @returns {Array[Entry|null]} null in place of entries vetoed by 'dataStorage.preStore' hooks
+   */
+  static async _createEntries(optionsList, settings = {}) {
+    const prepared = optionsList.map((options) => this._prepareStore(options, settings));
+
+    const packs = {};
+    for (const p of prepared.filter(Boolean)) (packs[p.pack] = packs[p.pack] ?? []).push(p);
+
+    const entries = new Map();
+    for (const [pack, toCreate] of Object.entries(packs)) {
+      const { compendium, metadataDocument } = await this._initCompendium(pack);
+      if (!compendium) throw Error(`Unable to retrieve pack: ${pack}`);
+      else if (compendium.locked) throw Error('Unable to store data within a locked compendium.');
+
+      const documents = await this._createDocuments(
+        compendium,
+        toCreate.flatMap((p) => p.documents),
+        { keepId: true, [MODULE_ID]: { user: (settings.user ?? game.user).id } }
+      );
+
+      const fullText = {};
+      for (const p of toCreate) {
+        const document = documents.find((d) => d.id === p.documents[0]._id);
+        entries.set(p, new Entry(document.id, pack, p.index, document));
+
+        const tokens = await this._fullTextTokens(pack, p.index.type, p.data);
+        if (tokens) fullText[document.id] = tokens;
+      }
+
+      this._queueIndexUpdate(pack, { fullText });
+      await this._flushIndexUpdates(pack);
+    }
+
+    return prepared.map((p) => entries.get(p) ?? null);
+  }
+
+  /**
+   * Apply sanitized updates to entries grouped by pack and wait for the META indexes to be updated
+   * @param {Array[object]} updates [{ entry, indexUpdate, data }] see Entry._sanitizeUpdate(...)
+   * @param {object} [options]
+   * @param {User} [options.user] User on whose behalf the entries are updated
+   * @returns {Array[Entry]}
+   */
+  static async _updateEntries(updates, { user = game.user } = {}) {
+    await this._batchLoadEntries(updates.map((u) => u.entry));
+
+    const packs = {};
+    for (const u of updates) (packs[u.entry.pack] = packs[u.entry.pack] ?? []).push(u);
+
+    for (const [pack, packUpdates] of Object.entries(packs)) {
+      const documentClass = game.packs.get(pack).documentClass;
+
+      const toUpdate = [];
+      const chunks = [];
+      const discardedChunks = [];
+      const fullText = {};
+      const previous = {};
+      for (let { entry, indexUpdate, data } of packUpdates) {
+        previous[entry.id] = this._entryIndex(entry);
+        ({ indexUpdate, data } = this._callPreUpdate(entry, indexUpdate, data, user) ?? {});
+        if (!indexUpdate) continue;
+
+        // Re-tokenize if the data or type, and therefore indexed paths, have changed
+        if (data || indexUpdate.type) {
+          const type = indexUpdate.type ?? entry.type;
+          fullText[entry.id] = await this._fullTextTokens(pack, type, data ?? (await entry.data()));
+        }
+
+        const prepared = entry._prepareUpdate(indexUpdate, data, user);
+        if (!foundry.utils.isEmpty(prepared.toUpdate)) toUpdate.push({ _id: entry.id, ...prepared.toUpdate });
+        chunks.push(...prepared.chunks);
+        discardedChunks.push(...prepared.discardedChunks);
+      }
+
+      if (chunks.length) await this._createChunks(pack, chunks);
+      if (toUpdate.length) {
+        await documentClass.updateDocuments(toUpdate, { pack, [MODULE_ID]: { previous, user: user.id } });
+      }
+      if (discardedChunks.length) await documentClass.deleteDocuments(discardedChunks, { pack });
+
+      this._queueIndexUpdate(pack, { fullText });
+
+      await this._flushIndexUpdates(pack);
+    }
+
+    return updates.map((u) => u.entry);
+  }
+
+  /**
+   * Call 'dataStorage.preUpdate' hooks allowing the update to be modified or cancelled
+   * @param {Entry} entry
+   * @param {object} indexUpdate
+   * @param {object} [data]
+   * @param {User} [user] User on whose behalf the entry is updated
+   * @returns {object|null} { indexUpdate, data } or null if the update has been vetoed
+   */
+  static _callPreUpdate(entry, indexUpdate, data, user = game.user) {
+    const original = { type: indexUpdate.type, data };
+    const previous = this._entryIndex(entry);
+    const changes = { previous, next: { ...foundry.utils.deepClone(previous), ...indexUpdate }, data };
+    if (Hooks.call('dataStorage.preUpdate', entry, changes, user.id) === false) return null;
+
+    // Hooks may have changed any of the fields, only those differing from the current index are updated
+    indexUpdate = {};
+    for (const k of Object.keys(this.INDEX_FIELDS)) {
+      if (!foundry.utils.objectsEqual({ v: changes.next[k] }, { v: previous[k] })) indexUpdate[k] = changes.next[k];
+    }
+    this._validateIndexFields(indexUpdate);
+    if (indexUpdate.access) this._validateAccess(indexUpdate.access);
+
+    data = changes.data;
+    if (data && (data !== original.data || indexUpdate.type !== original.type))
+      data = this.validateData(indexUpdate.type ?? entry.type, data);
+
+    return { indexUpdate, data };
+  }
+
+  /**
+   * Index fields of an Entry
+   * @param {Entry} entry
+   * @returns {object}
+   */
+  static _entryIndex(entry) {
+    const index = {};
+    for (const k of Object.keys(this.INDEX_FIELDS)) {
+      if (entry[k] !== undefined) index[k] = foundry.utils.deepClone(entry[k]);
+    }
+    return index;
+  }
+
+  /**
+   * Delete entry documents grouped by pack and wait for the META indexes to be updated
+   * @param {Array[Entry]} entries
+   * @param {object} [options]
+   * @param {User} [options.user] User on whose behalf the entries are deleted
+   * @returns {Array[Entry]}
+   */
+  static async _deleteEntries(entries, { user = game.user } = {}) {
+    const packs = {};
+    for (const entry of entries) (packs[entry.pack] = packs[entry.pack] ?? []).push(entry.id);
+
+    for (const [pack, ids] of Object.entries(packs)) {
+      await game.packs.get(pack)?.documentClass.deleteDocuments(ids, { pack, [MODULE_ID]: { user: user.id } });
+      await this._flushIndexUpdates(pack);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Queue META index changes to be written in a single update of the metadata document.
+   * Changes made by documents created, updated, or deleted within the same batch are coalesced.
+   * @param {string} pack
+   * @param {object} changes
+   * @param {object} [changes.set]          Index changes to be merged { [id]: index }
+   * @param {Array[string]} [changes.remove] IDs of entries to be removed from the index
+   * @param {Array[string]} [changes.chunks] IDs of chunk documents to be deleted
+   * @param {object} [changes.fullText]     Full-text tokens of entries { [id]: tokens }, null tokens remove the entry
+   */
+  static _queueIndexUpdate(pack, { set = {}, remove = [], chunks = [], fullText = {} } = {}) {
+    let pending = this._indexUpdates[pack];
+    if (!pending) {
+      pending = this._indexUpdates[pack] = { set: {}, remove: new Set(), chunks: [], fullText: {} };
+      pending.timeout = setTimeout(() => {
+        // Deferred writes have no caller awaiting them, e.g. documents created outside the API
+        this._flushIndexUpdates(pack).catch((e) =>
+          ui.notifications.error(`Unable to update META index of ${pack}: ${e.message}`)
+        );
+      }, 0);
+    }
+
+    for (const [id, index] of Object.entries(set)) {
+      pending.remove.delete(id);
+      pending.set[id] = foundry.utils.mergeObject(pending.set[id] ?? {}, index, { inplace: false });
+    }
+    for (const id of remove) {
+      delete pending.set[id];
+      pending.remove.add(id);
+    }
+    pending.chunks.push(...chunks);
+    Object.assign(pending.fullText, fullText);
+  }
+
+  /**
+   * Write queued META index changes of a pack. Writes to the same pack are performed sequentially.
+   * @param {string} pack
+   * @returns {Promise} resolves once all queued changes have been written, rejects if the write failed
+   */
+  static _flushIndexUpdates(pack) {
+    const pending = this._indexUpdates[pack];
+    // Nothing queued, wait for the write in progress without being affected by its failure
+    if (!pending) return (this._indexWrites[pack] ?? Promise.resolve()).catch(() => {});
+
+    clearTimeout(pending.timeout);
+    delete this._indexUpdates[pack];
+
+    const update = {};
+    for (const [id, index] of Object.entries(pending.set)) update[`flags.${MODULE_ID}.index.${id}`] = index;
+    for (const id of pending.remove) update[`flags.${MODULE_ID}.index.-=${id}`] = null;
+
+    const compendium = game.packs.get(pack);
+    // A failed write is reported to its own callers and does not prevent subsequent writes
+    const write = (this._indexWrites[pack] ?? Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        const metaDocument = await compendium.getDocument(this.META_INDEX_ID);
+
+        // Full-text tokens are stored as arrays so that they replace rather than merge with previous tokens
+        const fullText = metaDocument.getFlag(MODULE_ID, 'fullText') ?? {};
+        for (const [id, tokens] of Object.entries(pending.fullText)) {
+          if (tokens) update[`flags.${MODULE_ID}.fullText.${id}`] = tokens;
+          else if (fullText[id]) update[`flags.${MODULE_ID}.fullText.-=${id}`] = null;
+        }
+        for (const id of pending.remove) {
+          if (fullText[id]) update[`flags.${MODULE_ID}.fullText.-=${id}`] = null;
+        }
+
+        if (!foundry.utils.isEmpty(update)) await metaDocument.update(update);
+        if (pending.chunks.length) await compendium.documentClass.deleteDocuments(pending.chunks, { pack });
+      })
+      .finally(() => {
+        if (this._indexWrites[pack] === write) delete this._indexWrites[pack];
+      });
+
+    this._indexWrites[pack] = write;
+    return write;
+  }
+
+  /**
+   * Configure data paths indexed for full-text search of all entries within a pack and re-index them.
+   * Types can also be configured using the 'fullText' option of DataStorage.registerType(...)
+   * @param {string} packId
+   * @param {Array[string]|boolean|null} paths data paths, 'true' to index all data, or 'null' to disable
+   * @returns {number} number of indexed entries
+   */
+  static async configureFullText(packId, paths) {
+    if (!game.user.isGM) throw Error('Only GMs can configure full-text search.');
+
+    const { compendium, metadataDocument } = await this._initCompendium(packId);
+    if (!compendium) throw Error(`Unable to retrieve pack: ${packId}`);
+
+    await metadataDocument.update({ [`flags.${MODULE_ID}.fullTextPaths`]: paths || null });
+    return this.reindexFullText(packId);
+  }
+
+  /**
+   * Re-tokenize data of all entries within a pack and replace its full-text index
+   * @param {string} packId
+   * @returns {number} number of indexed entries
+   */
+  static async reindexFullText(packId) {
+    if (!game.user.isGM) throw Error('Only GMs can re-index full-text search.');
+
+    const compendium = game.packs.get(packId);
+    if (!compendium) throw Error(`Unable to retrieve pack: ${packId}`);
+    const metadataDocument = await compendium.getDocument(this.META_INDEX_ID);
+
+    const entries = Array.from(await this._loadIndex(compendium));
+    await this._batchLoadEntries(entries);
+
+    const fullText = {};
+    for (const entry of entries) {
+      const tokens = await this._fullTextTokens(packId, entry.type, await entry.data());
+      if (tokens) fullText[entry.id] = tokens;
+    }
+
+    const update = {};
+    for (const id of Object.keys(metadataDocument.getFlag(MODULE_ID, 'fullText') ?? {})) {
+      if (!fullText[id]) update[`flags.${MODULE_ID}.fullText.-=${id}`] = null;
+    }
+    for (const [id, tokens] of Object.entries(fullText)) update[`flags.${MODULE_ID}.fullText.${id}`] = tokens;
+    if (!foundry.utils.isEmpty(update)) await metadataDocument.update(update);
+
+    return Object.keys(fullText).length;
+  }
+
+  /**
+   * Data paths indexed for full-text search of entries of the provided pack and type
+   * @param {string} pack
+   * @param {string} type
+   * @returns {Array[string]|boolean|null} paths, 'true' if all data is indexed, or 'null' if not indexed
+   */
+  static async _getFullTextPaths(pack, type) {
+    const typePaths = this._types[type]?.fullText;
+    const metadataDocument = await game.packs.get(pack)?.getDocument(this.META_INDEX_ID);
+    const packPaths = metadataDocument?.getFlag(MODULE_ID, 'fullTextPaths');
+    if (typePaths === true || packPaths === true) return true;
+
+    const paths = [typePaths, packPaths].filter(Array.isArray).flat();
+    return paths.length ? Array.from(new Set(paths)) : null;
+  }
+
+  /**
+   * Tokenize text found at full-text indexed paths of the data
+   * @param {string} pack
+   * @param {string} type
+   * @param {object} data
+   * @returns {Array[Array]|null} [[token, count]] or 'null' if data of this pack and type is not indexed
+   */
+  static async _fullTextTokens(pack, type, data) {
+    const paths = await this._getFullTextPaths(pack, type);
+    if (!paths) return null;
+
+    const text = [];
+    const collect = (value) => {
+      if (typeof value === 'string' || typeof value === 'number') text.push(String(value));
+      else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+    };
+    if (paths === true) collect(data);
+    else paths.forEach((path) => collect(foundry.utils.getProperty(data, path)));
+
+    const counts = {};
+    for (const token of this._tokenizeText(text.join(' '))) counts[token] = (counts[token] ?? 0) + 1;
+    return Object.entries(counts);
+  }
+
+  /**
+   * Split text into lowercase word tokens
+   * @param {string} text
+   * @returns {Array[string]}
+   */
+  static _tokenizeText(text) {
+    return (text.toLocaleLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []).filter((t) => t.length > 1);
+  }
+
+  /**
+   * Construct the inverted full-text index of the passed in compendium
+   * @param {CompendiumCollection} pack
+   * @returns {object} { documents: Map<id, tokens>, tokens: Map<token, Map<id, count>> }
+   */
+  static async _loadFullTextIndex(pack) {
+    if (pack._dataStorageFullText) return pack._dataStorageFullText;
+
+    const metadataDocument = await pack.getDocument(this.META_INDEX_ID);
+    const fullText = { documents: new Map(), tokens: new Map() };
+    for (const [id, tokens] of Object.entries(metadataDocument.getFlag(MODULE_ID, 'fullText') ?? {})) {
+      this._setFullTextTokens(fullText, id, tokens);
+    }
+
+    pack._dataStorageFullText = fullText;
+    return fullText;
+  }
+
+  /**
+   * Replace tokens of a document within the inverted full-text index
+   * @param {object} fullText see _loadFullTextIndex(...)
+   * @param {string} id
+   * @param {Array[Array]|null} tokens [[token, count]], 'null' to remove the document
+   */
+  static _setFullTextTokens(fullText, id, tokens) {
+    for (const [token] of fullText.documents.get(id) ?? []) {
+      const postings = fullText.tokens.get(token);
+      postings?.delete(id);
+      if (postings && !postings.size) fullText.tokens.delete(token);
+    }
+    fullText.documents.delete(id);
+    if (!tokens) return;
+
+    fullText.documents.set(id, tokens);
+    for (const [token, count] of tokens) {
+      if (!fullText.tokens.has(token)) fullText.tokens.set(token, new Map());
+      fullText.tokens.get(token).set(id, count);
+    }
+  }
+
+  /**
+   * Filter entries to those matching the full-text query and sort them by relevance (TF-IDF)
+   * @param {Array[Entry]} entries
+   * @param {string} text
+   * @returns {Array[Entry]}
+   */
+  static async _rankFullText(entries, text) {
+    const queryTokens = Array.from(new Set(this._tokenizeText(text)));
+    if (!queryTokens.length) return [];
+
+    const packs = {};
+    for (const entry of entries) (packs[entry.pack] = packs[entry.pack] ?? []).push(entry);
+
+    const scores = new Map();
+    for (const [pack, packEntries] of Object.entries(packs)) {
+      const fullText = await this._loadFullTextIndex(game.packs.get(pack));
+      const total = fullText.documents.size;
+
+      for (const token of queryTokens) {
+        const postings = fullText.tokens.get(token);
+        if (!postings) continue;
+
+        const idf = Math.log(1 + total / postings.size);
+        for (const entry of packEntries) {
+          const count = postings.get(entry.id);
+          if (count) scores.set(entry, (scores.get(entry) ?? 0) + (1 + Math.log(count)) * idf);
+        }
+      }
+    }
+
+    return entries.filter((entry) => scores.has(entry)).sort((a, b) => scores.get(b) - scores.get(a));
+  }
+
+  /**
+   * Check whether a user is permitted to perform an operation on an Entry.
+   * GMs and the Entry owner are permitted all operations, other users are limited by the Entry access level.
+   * @param {Entry} entry
+   * @param {string} [operation] 'read', 'write', or 'owner' (changing owner and access level)
+   * @param {User} [user]        defaults to the current user
+   * @returns {boolean}
+   */
+  static canAccess(entry, operation = 'read', user = game.user) {
+    if (!entry || !user) return false;
+    if (user.isGM || (entry.owner && entry.owner === user.id)) return true;
+
+    const access = entry.access ?? this.DEFAULT_ACCESS;
+    if (operation === 'read') return access !== 'private';
+    if (operation === 'write') return access === 'shared-write';
+    return false;
+  }
+
+  /**
+   * Operation required to apply the provided index update
+   * @param {object} update
+   * @returns {string}
+   */
+  static _updateOperation(update) {
+    return 'owner' in update || 'access' in update ? 'owner' : 'write';
+  }
+
+  /**
+   * @param {string} access
+   */
+  static _validateAccess(access) {
+    if (!this.ACCESS_LEVELS.includes(access)) throw Error(`Invalid access level: ${access}`);
+  }
+
+  /**
+   * Is the document a chunk holding part of a large Entry payload?
+   * @param {Document} document
+   * @returns {boolean}
+   */
+  static _isChunk(document) {
+    return Boolean(document.getFlag(MODULE_ID, 'chunk'));
+  }
+
+  /**
+   * Returns IDs of chunk documents the payload has been split into
+   * @param {object} payload
+   * @returns {Array[string]}
+   */
+  static _chunkIds(payload) {
+    const ids = payload?.[this.CHUNKS_KEY];
+    return Array.isArray(ids) ? ids : [];
+  }
+
+  /**
+   * Split data into chunk documents if its serialized form exceeds the 'chunkSize' setting
+   * @param {object} data
+   * @param {string} entryId ID of the entry document the chunks belong to
+   * @returns {object} { payload, chunks } payload to be stored on the entry document and chunk document data
+   */
+  static _chunkPayload(data, entryId) {
+    const size = game.settings.get(MODULE_ID, 'chunkSize');
+    const serialized = size > 0 ? JSON.stringify(data) : '';
+    if (serialized.length <= size) return { payload: data, chunks: [] };
+
+    const chunks = [];
+    for (let i = 0; i * size < serialized.length; i++) {
+      const data = serialized.slice(i * size, (i + 1) * size);
+      chunks.push({
+        _id: foundry.utils.randomID(),
+        name: `!!! DATA CHUNK: ${entryId} [${i}] !!!`,
+        flags: { [MODULE_ID]: { chunk: { entry: entryId, index: i, data } } },
+      });
+    }
+
+    return { payload: { [this.CHUNKS_KEY]: chunks.map((c) => c._id) }, chunks };
+  }
+
+  /**
+   * Create documents within a compendium, assigning a sub-type to documents which require one e.g. Item, Actor
+   * @param {CompendiumCollection} compendium
+   * @param {Array[object]} data
+   * @param {object} [options] document creation options
+   * @returns {Array[Document]}
+   */
+  static _createDocuments(compendium, data, options = {}) {
+    const documentClass = compendium.documentClass;
+    if (documentClass.hasTypeData) {
+      const type = documentClass.TYPES.find((t) => t !== CONST.BASE_DOCUMENT_TYPE) ?? CONST.BASE_DOCUMENT_TYPE;
+      data = data.map((d) => ({ type, ...d }));
+    }
+    return documentClass.createDocuments(data, { pack: compendium.collection, ...options });
+  }
+
+  /**
+   * Create chunk documents within a pack
+   * @param {string} pack
+   * @param {Array[object]} chunks chunk document data produced by _chunkPayload(...)
+   */
+  static async _createChunks(pack, chunks) {
+    await this._createDocuments(game.packs.get(pack), chunks, { keepId: true, [MODULE_ID]: true });
+  }
+
+  /**
+   * Re-assemble a payload from its chunk documents. Payloads which have not been chunked are returned as is.
+   * @param {string} pack
+   * @param {object} payload
+   * @returns {object}
+   */
+  static async _resolvePayload(pack, payload) {
+    const chunkIds = this._chunkIds(payload);
+    if (!chunkIds.length) return payload;
+
+    const chunks = {};
+    const documents = await game.packs.get(pack).getDocuments({ _id__in: chunkIds });
+    for (const document of documents) chunks[document.id] = document;
+    return this._assembleChunks(chunkIds.map((id) => chunks[id]));
+  }
+
+  /**
+   * Parse data from ordered chunk documents
+   * @param {Array[Document]} documents
+   * @returns {object}
+   */
+  static _assembleChunks(documents) {
+    if (documents.some((d) => !d)) throw Error('Unable to assemble data, chunk document is missing.');
+    return JSON.parse(documents.map((d) => d.getFlag(MODULE_ID, 'chunk').data).join(''));
+  }
+
+  /**
+   * Batch load chunk documents of entries whose current data has been chunked and assemble it
+   * @param {Array[Entry]} entries entries with loaded documents
+   * @returns {Array[Entry]}
+   */
+  static async _loadChunks(entries) {
+    const pending = [];
+    const packToIds = {};
+    for (const entry of entries) {
+      const chunkIds = this._chunkIds(entry.document?.getFlag(MODULE_ID, 'data')?.[0]);
+      if (!chunkIds.length || entry._assembled?.key === chunkIds.join()) continue;
+
+      pending.push({ entry, chunkIds });
+      packToIds[entry.pack] = (packToIds[entry.pack] ?? []).concat(chunkIds);
+    }
+    if (!pending.length) return entries;
+
+    const chunks = {};
+    for (const [pack, ids] of Object.entries(packToIds)) {
+      for (const document of await game.packs.get(pack).getDocuments({ _id__in: ids })) chunks[document.id] = document;
+    }
+
+    for (const { entry, chunkIds } of pending) {
+      entry._assembled = { key: chunkIds.join(), data: this._assembleChunks(chunkIds.map((id) => chunks[id])) };
+    }
+
+    return entries;
+  }
+
+  /**
+   * Metadata recorded for each revision of Entry data
+   * @param {number} version
+   * @param {User} [user] author of the revision
+   * @returns {object} { version, timestamp, user }
+   */
+  static _revision(version, user = game.user) {
+    return { version, timestamp: Date.now(), user: user.id };
+  }
+
+  /**
+   * Number of past data revisions kept for entries of the provided type
+   * @param {string} type
+   * @returns {number}
+   */
+  static getHistoryLength(type) {
+    return this._types[type]?.history ?? game.settings.get(MODULE_ID, 'historyLength');
+  }
+
+  /**
+   * Register a schema for the data stored under the provided type.
+   * Once registered, data passed to DataStorage.store(...) and Entry.update(...) will have defaults applied and be validated against the schema.
+   * @param {string} type
+   * @param {object} [options]
+   * @param {DataField|object} [options.schema] DataField or an object of DataFields describing the data
+   * @param {object} [options.defaults]         Values merged into the data before validation
+   * @param {number} [options.version]          Version of the data schema
+   * @param {number} [options.history]          Number of past data revisions to keep, overrides the 'historyLength' setting
+   * @param {Array[string]|boolean} [options.fullText] Data paths indexed for full-text search, 'true' to index all data
+   * @param {object|Array[string]} [options.unique]   Index fields which need to be unique among entries of this type within a pack
+   *                                                  { fields, onConflict } where onConflict is 'reject' (default) or 'merge'
+   */
+  static registerType(type, { schema, defaults = {}, version = 1, history, fullText, unique } = {}) {
+    if (!type || typeof type !== 'string') throw Error('Type must be a non-empty string.');
+    if (schema && !(schema instanceof foundry.data.fields.DataField)) {
+      schema = new foundry.data.fields.SchemaField(schema);
+    }
+    unique = this._normalizeUniqueConstraint(unique);
+    this._types[type] = { type, schema, defaults, version, history, fullText, unique };
+  }
+
+  /**
+   * Returns the definition registered via DataStorage.registerType(...)
+   * @param {string} type
+   * @returns {object|undefined} { type, schema, defaults, version, history, fullText, unique }
+   */
+  static getType(type) {
+    return this._types[type];
+  }
+
+  /**
+   * Apply defaults and validate data against the schema registered for the type.
+   * Data of types without a registered schema is returned as is.
+   * @param {string} type
+   * @param {object} data
+   * @returns {object} cleaned data
+   */
+  static validateData(type, data) {
+    const definition = this._types[type];
+    if (!definition) return data;
+
+    data = foundry.utils.mergeObject(foundry.utils.deepClone(definition.defaults), data, { inplace: false });
+    if (!definition.schema) return data;
+
+    data = definition.schema.clean(data);
+    const failure = definition.schema.validate(data);
+    if (failure) throw Error(`Invalid data for type "${type}": ${failure.asError().message}`);
+
+    return data;
+  }
+
+  /**
+   * Validate data of the provided entries against their registered types
+   * @param {Array[Entry]} entries
+   * @returns {Map<string, string>} Map of UUIDs to error messages of entries that failed validation
+   */
+  static async validateEntries(entries) {
+    entries = entries.filter((entry) => this._types[entry.type]?.schema);
+    await this._batchLoadEntries(entries);
+
+    const failures = new Map();
+    for (const entry of entries) {
+      try {
+        this.validateData(entry.type, await entry.data());
+      } catch (e) {
+        failures.set(entry.uuid, e.message);
+      }
+    }
+    return failures;
+  }
+
+  /**
+   * Register a function migrating data of a type from one version to another. The version data is migrated to is the
+   * 'version' of the type registered via DataStorage.registerType(...), or the highest 'toVersion' if not registered.
+   * Entries stored before versions were recorded are considered to be of version 1.
+   * @param {string} type
+   * @param {number} fromVersion
+   * @param {number} toVersion
+   * @param {Function} fn (data, entry) => migrated data, may be async. Mutated data is used if nothing is returned.
+   */
+  static registerMigration(type, fromVersion, toVersion, fn) {
+    if (!type || typeof type !== 'string') throw Error('Type must be a non-empty string.');
+    if (!Number.isInteger(fromVersion) || !Number.isInteger(toVersion) || toVersion <= fromVersion)
+      throw Error(`Invalid migration versions: ${fromVersion} => ${toVersion}`);
+    if (typeof fn !== 'function') throw Error('Migration must be a function.');
+
+    this._migrations[type] = this._migrations[type] ?? {};
+    this._migrations[type][fromVersion] = { from: fromVersion, to: toVersion, fn };
+  }
+
+  /**
+   * Current data version of the type
+   * @param {string} type
+   * @returns {number}
+   */
+  static getTypeVersion(type) {
+    if (this._types[type]) return this._types[type].version;
+    const migrations = Object.values(this._migrations[type] ?? {});
+    return Math.max(1, ...migrations.map((m) => m.to));
+  }
+
+  /**
+   * Is the data of the entry of an older version than the current version of its type, and can be migrated
+   * @param {Entry|object} entry Entry or its index
+   * @returns {boolean}
+   */
+  static _isOutdated(entry) {
+    return Boolean(this._migrations[entry.type]) && (entry.version ?? 1) < this.getTypeVersion(entry.type);
+  }
+
+  /**
+   * Apply registered migrations to the data and validate the result against the current schema
+   * @param {Entry|object} entry Entry or its index
+   * @param {object} data
+   * @returns {object} migrated data
+   */
+  static async _migrateData(entry, data) {
+    const target = this.getTypeVersion(entry.type);
+    let version = entry.version ?? 1;
+    data = foundry.utils.deepClone(data);
+
+    while (version < target) {
+      const migration = this._migrations[entry.type]?.[version];
+      if (!migration) throw Error(`No migration registered for type "${entry.type}" from version ${version}`);
+      data = (await migration.fn(data, entry)) ?? data;
+      version = migration.to;
+    }
+
+    return this.validateData(entry.type, data);
+  }
+
+  /**
+   * Migrate data of an outdated entry, storing the result if the user has write access
+   * @param {Entry} entry
+   * @returns {object} migrated data
+   */
+  static async _migrateEntry(entry) {
+    await entry.load();
+    const data = await this._migrateData(entry, await entry._currentData());
+
+    if (this.canAccess(entry, 'write') && (game.user.isGM || this._playerStorePermission)) {
+      try {
+        await entry.update({ data });
+      } catch (e) {
+        console.warn(`Unable to store migrated data of Entry: ${entry.uuid}`, e);
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Migrate outdated entries across managed packs. Progress is recorded as entries are migrated, an interrupted
+   * migration resumes from where it stopped when run again. Entries which failed to migrate are skipped by later runs
+   * unless 'retryFailed' is set.
+   * @param {object} [options]
+   * @param {Array[string]} [options.types] Only migrate entries of these types
+   * @param {Array[string]} [options.packs] Only migrate entries within these packs
+   * @param {boolean} [options.dryRun]      Report what would be migrated without storing any changes
+   * @param {boolean} [options.retryFailed] Retry entries which failed to migrate during previous runs
+   * @param {number} [options.batchSize]    Number of entries loaded and updated at a time
+   * @param {Function} [options.onProgress] Called after each batch with { processed, total }
+   * @returns {object} report { dryRun, total, migrated, failed, skipped }
+   *                   migrated: [{ uuid, name, type, from, to, changes }] changes are data paths, only reported on dry runs
+   *                   failed:   [{ uuid, name, type, from, error }]
+   *                   skipped:  [{ uuid, name, type, from, error }] entries which failed during previous runs
+   */
+  static async migrate({ types, packs, dryRun = false, retryFailed = false, batchSize = 50, onProgress } = {}) {
+    if (!game.user.isGM) throw Error('Only GMs can run migrations.');
+
+    const compendiums = packs ? packs.map((p) => game.packs.get(p)) : this.getManagedPacks();
+    for (const [i, pack] of compendiums.entries()) {
+      if (!pack?.index.get(this.META_INDEX_ID)) throw Error(`Pack is not managed by Data Storage: ${packs[i]}`);
+    }
+
+    const outdated = [];
+    for (const pack of compendiums) {
+      for (const entry of await this._loadIndex(pack)) {
+        if ((!types || types.includes(entry.type)) && this._isOutdated(entry)) outdated.push(entry);
+      }
+    }
+
+    const progress = game.settings.get(MODULE_ID, 'migrationProgress');
+    const failedRuns = progress.failed ?? {};
+    const report = { dryRun, total: outdated.length, migrated: [], failed: [], skipped: [] };
+    const record = (entry) => ({ uuid: entry.uuid, name: entry.name, type: entry.type, from: entry.version ?? 1 });
+    // The version migrated from is provided for entries whose in-memory index was changed by a failed update
+    const fail = (entry, error, from = entry.version ?? 1) => {
+      report.failed.push({ ...record(entry), from, error: error.message });
+      if (!dryRun) failedRuns[entry.uuid] = { version: from, error: error.message };
+    };
+    const saveProgress = (running) => {
+      if (!dryRun) return game.settings.set(MODULE_ID, 'migrationProgress', { running, failed: failedRuns });
+    };
+
+    const started = progress.running?.started ?? Date.now();
+    for (let i = 0; i < outdated.length; i += batchSize) {
+      const batch = [];
+      for (const entry of outdated.slice(i, i + batchSize)) {
+        // Entries which failed to migrate from the same version during previous runs
+        const previous = failedRuns[entry.uuid];
+        if (!retryFailed && previous?.version === (entry.version ?? 1))
+          report.skipped.push({ ...record(entry), error: previous.error });
+        else batch.push(entry);
+      }
+      await this._batchLoadEntries(batch);
+
+      const updates = [];
+      for (const entry of batch) {
+        try {
+          const current = await entry._currentData();
+          const data = await this._migrateData(entry, current);
+          const migrated = { ...record(entry), to: this.getTypeVersion(entry.type) };
+          if (dryRun) migrated.changes = this._changedPaths(current, data);
+          updates.push({ entry, data, migrated });
+        } catch (e) {
+          fail(entry, e);
+        }
+      }
+
+      if (!dryRun && updates.length) {
+        try {
+          await this.updateMany(updates.map(({ entry, data }) => ({ uuid: entry.uuid, data })));
+        } catch (e) {
+          // Update entries one at a time to single out those failing. Entries whose documents were updated before the
+          // failure already store migrated data and are not updated again, but their META index may not have been
+          // written, leaving them outdated for later runs.
+          const stored = {};
+          for (const [j, { entry, data, migrated }] of updates.entries()) {
+            const index = entry.document.getFlag(MODULE_ID, 'index');
+            if (index?.version === migrated.to) {
+              this._queueIndexUpdate(entry.pack, { set: { [entry.id]: index } });
+              (stored[entry.pack] = stored[entry.pack] ?? []).push(j);
+              continue;
+            }
+            try {
+              await entry.update({ data });
+            } catch (e) {
+              fail(entry, e, migrated.from);
+              updates[j] = null;
+            }
+          }
+
+          for (const [pack, indexes] of Object.entries(stored)) {
+            try {
+              await this._flushIndexUpdates(pack);
+            } catch (e) {
+              for (const j of indexes) {
+                fail(updates[j].entry, e, updates[j].migrated.from);
+                updates[j] = null;
+              }
+            }
+          }
+        }
+      }
+
+      for (const u of updates.filter(Boolean)) {
+        report.migrated.push(u.migrated);
+        delete failedRuns[u.entry.uuid];
+      }
+
+      const processed = Math.min(i + batchSize, outdated.length);
+      await saveProgress({ started, processed, total: outdated.length });
+      onProgress?.({ processed, total: outdated.length });
+    }
+
+    await saveProgress(null);
+    return report;
+  }
+
+  /**
+   * Flattened data paths whose values differ between a and b
+   * @param {object} a
+   * @param {object} b
+   * @returns {Array[string]}
+   */
+  static _changedPaths(a, b) {
+    const flatA = foundry.utils.flattenObject(a ?? {});
+    const flatB = foundry.utils.flattenObject(b ?? {});
+    return Array.from(new Set([...Object.keys(flatA), ...Object.keys(flatB)])).filter(
+      (path) => !foundry.utils.objectsEqual(flatA[path], flatB[path])
+    );
+  }
+
+  /**
+   * Register how entries of a type are presented within the data browser
+   * @param {string} type
+   * @param {object} renderer
+   * @param {Function} [renderer.preview]   (entry) => string|HTMLElement, preview of the selected entry. May be async.
+   * @param {Array[object]} [renderer.actions] Context menu items { name, icon, condition: (entry) => boolean, callback: (entry) => void }
+   * @param {string} [renderer.icon]        Font Awesome classes of the icon displayed alongside entries e.g. 'fa-solid fa-diagram-project'
+   * @param {Function} [renderer.open]      (entry) => void, called when the entry is double-clicked.
+   *                                          If not provided the entry editor is opened instead.
+   */
+  static registerTypeRenderer(type, { preview, actions = [], icon, open } = {}) {
+    if (!type || typeof type !== 'string') throw Error('Type must be a non-empty string.');
+    if (preview && typeof preview !== 'function') throw Error('Renderer preview must be a function.');
+    if (open && typeof open !== 'function') throw Error('Renderer open must be a function.');
+    if (!Array.isArray(actions) || actions.some((a) => !a.name || typeof a.callback !== 'function'))
+      throw Error('Renderer actions must be an array of { name, callback } objects.');
+
+    this._typeRenderers[type] = { type, preview, actions, icon, open };
+  }
+
+  /**
+   * Returns the renderer registered via DataStorage.registerTypeRenderer(...)
+   * @param {string} type
+   * @returns {object|undefined} { type, preview, actions, icon, open }
+   */
+  static getTypeRenderer(type) {
+    return this._typeRenderers[type];
+  }
+
+  /**
+   * Handle player request to store data
+   * @param {object} options DataStorage.store(...)
+   * @returns
+   */
+  static playerStore(options = {}) {
+    return this._playerRequest('store', { options });
+  }
+
+  /**
+   * Handle response to playerStore(...) request
+   * @param {object} options
+   * @returns
+   */
+  static async _resolvePlayerStoreRequest({ requestId, documentId, pack } = {}) {
+    if (!this._requests[requestId]) return;
+    if (!documentId) return this._settleRequest(requestId, null);
+    const document = await game.packs.get(pack).getDocument(documentId);
+    this._settleRequest(requestId, new Entry(documentId, pack, document.getFlag(MODULE_ID, 'index'), document));
+  }
+
+  /**
+   * Handle player request to delete an Entry
+   * @param {string} uuid
+   * @param {object} [options] Entry.delete(...) options
+   * @returns
+   */
+  static playerDelete(uuid, options = {}) {
+    return this._playerRequest('delete', { uuid, options });
+  }
+
+  /**
+   * Handle response to playerDelete(...) request
+   * @param {object} options
+   * @returns
+   */
+  static async _resolvePlayerDeleteRequest({ requestId } = {}) {
+    this._settleRequest(requestId);
+  }
+
+  /**
+   * Handle player request to update an Entry
+   * @param {string} uuid
+   * @param {object} update Entry.update(...)
+   * @returns
+   */
+  static playerUpdate(uuid, update) {
+    return this._playerRequest('update', { uuid, update });
+  }
+
+  /**
+   * Handle response to playerUpdate(...) request
+   * @param {object} options
+   * @param {string} options.requestId
+   * @param {object} [options.index] index of the Entry after the update
+   * @returns
+   */
+  static async _resolvePlayerUpdateRequest({ requestId, index } = {}) {
+    this._settleRequest(requestId, index);
+  }
+
+  /**
+   * Handle player request to upsert an entry
+   * @param {object} options DataStorage.upsert(...) options
+   * @param {Array[string]} matchOn
+   * @returns
+   */
+  static playerUpsert(options, matchOn) {
+    return this._playerRequest('upsert', { options, matchOn });
+  }
+
+  /**
+   * Handle player request to store multiple entries
+   * @param {Array[object]} optionsList DataStorage.storeMany(...)
+   * @returns
+   */
+  static playerStoreMany(optionsList) {
+    return this._playerRequest('storeMany', { optionsList });
+  }
+
+  /**
+   * Handle response to playerStoreMany(...) request
+   * @param {object} options
+   * @returns
+   */
+  static async _resolvePlayerStoreManyRequest({ requestId, stored } = {}) {
+    if (!this._requests[requestId]) return;
+
+    const entries = [];
+    for (const s of stored) {
+      if (!s) {
+        entries.push(null);
+        continue;
+      }
+      const { documentId, pack } = s;
+      const document = await game.packs.get(pack).getDocument(documentId);
+      entries.push(new Entry(documentId, pack, document.getFlag(MODULE_ID, 'index'), document));
+    }
+    this._settleRequest(requestId, entries);
+  }
+
+  /**
+   * Handle player request to update multiple entries
+   * @param {Array[object]} updates DataStorage.updateMany(...)
+   * @returns
+   */
+  static playerUpdateMany(updates) {
+    return this._playerRequest('updateMany', { updates });
+  }
+
+  /**
+   * Handle player request to delete multiple entries
+   * @param {Array[string]} uuids
+   * @param {object} [options] DataStorage.deleteMany(...) options
+   * @returns
+   */
+  static playerDeleteMany(uuids, options = {}) {
+    return this._playerRequest('deleteMany', { uuids, options });
+  }
+
+  /**
+   * Broadcast a request to be executed by a GM
+   * @param {string} handlerName
+   * @param {object} args
+   * @returns {Promise}
+   */
+  static _playerRequest(handlerName, args) {
+    if (!this._getResponsibleGM()) return Promise.reject(Error('Unable to process request, no active GM present.'));
+
+    const requestId = foundry.utils.randomID();
+    const message = {
+      handlerName,
+      args: { ...args, requestId },
+      type: 'PLAYER_REQUEST',
+    };
+
+    return new Promise((resolve, reject) => {
+      this._requests[requestId] = { resolve, reject, message, attempts: 0 };
+      this._sendRequest(requestId);
+    });
+  }
+
+  /**
+   * Emit a pending request, re-sending it if it is not acknowledged by a GM within the 'requestTimeout'
+   * until 'requestRetries' are exhausted
+   * @param {string} requestId
+   */
+  static _sendRequest(requestId) {
+    const request = this._requests[requestId];
+    if (!request) return;
+
+    if (!this._getResponsibleGM()) {
+      this._settleRequest(requestId, null, Error('Unable to process request, no active GM present.'));
+      return;
+    }
+    if (request.attempts > game.settings.get(MODULE_ID, 'requestRetries')) {
+      this._settleRequest(requestId, null, Error(`No response from GM after ${request.attempts} attempt(s).`));
+      return;
+    }
+
+    request.attempts++;
+    game.socket.emit(`module.${MODULE_ID}`, request.message);
+    request.timeout = setTimeout(() => this._sendRequest(requestId), this._requestTimeout());
+  }
+
+  /**
+   * Handle GM acknowledgement of a pending request. Acknowledged requests are not timed out as executing them may
+   * take arbitrarily long. Requests queued for approval wait until the GM queuing them responds or stops being the
+   * responsible GM, others until the GM executing them responds or disconnects.
+   * @param {object} options
+   * @param {string} senderId ID of the GM acknowledging the request
+   */
+  static _acknowledgeRequest({ requestId, queued } = {}, senderId) {
+    const request = this._requests[requestId];
+    if (!request) return;
+
+    clearTimeout(request.timeout);
+    request.acknowledgedBy = senderId;
+    request.queued = Boolean(queued);
+  }
+
+  /**
+   * The approval queue is only held in memory of the responsible GM. Once they disconnect or another GM becomes
+   * responsible, queued requests are rejected on both the GM and player clients.
+   */
+  static _onUserConnected() {
+    const reason = 'Request awaiting approval was discarded, the responsible GM changed.';
+
+    const responsible = this._getResponsibleGM();
+    for (const [requestId, request] of Object.entries(this._requests)) {
+      if (!request.acknowledgedBy) continue;
+      if (request.queued) {
+        if (request.acknowledgedBy !== responsible?.id) this._settleRequest(requestId, null, Error(reason));
+      } else if (!game.users.get(request.acknowledgedBy)?.active) {
+        this._settleRequest(requestId, null, Error('Request was not completed, the GM executing it disconnected.'));
+      }
+    }
+
+    if (this._approvalQueue.length && !this._isResponsibleGM()) {
+      this.rejectRequests(
+        this._approvalQueue.map((message) => message.args.requestId),
+        reason
+      );
+    }
+  }
+
+  /**
+   * @returns {number} 'requestTimeout' setting in milliseconds
+   */
+  static _requestTimeout() {
+    return game.settings.get(MODULE_ID, 'requestTimeout') * 1000;
+  }
+
+  /**
+   * Resolve or reject a pending player request
+   * @param {string} requestId
+   * @param {*} [result] value to resolve the request with
+   * @param {Error} [error] if provided the request will be rejected with it instead
+   */
+  static _settleRequest(requestId, result, error) {
+    const request = this._requests[requestId];
+    if (!request) return;
+    clearTimeout(request.timeout);
+    delete this._requests[requestId];
+
+    if (error) request.reject(error);
+    else request.resolve(result);
+  }
+
+  /**
+   * Returns the active GM responsible for executing player requests
+   * @returns {User|undefined}
+   */
+  static _getResponsibleGM() {
+    return game.users.filter((u) => u.active && u.isGM).sort((a, b) => b.role - a.role || a.id.compare(b.id))[0];
+  }
+
+  /**
+   * Returns true if the current user is the GM responsible for executing player requests
+   * @returns {boolean}
+   */
+  static _isResponsibleGM() {
+    return Boolean(this._getResponsibleGM()?.isSelf);
+  }
+
+  /**
+   * Handle broadcasts for player requests and GM responses to them
+   * @param {object} message
+   * @param {string} senderId ID of the User who emitted the message as reported by the server
+   */
+  static async _onSocketMessage(message, senderId) {
+    const args = message.args;
+
+    // Responses are only accepted from GMs, and once acknowledged only from the GM handling the request
+    if (['RESOLVE', 'ACK', 'ERROR'].includes(message.type)) {
+      const request = this._requests[args?.requestId];
+      if (!request || !game.users.get(senderId)?.isGM) return;
+      if (request.acknowledgedBy && request.acknowledgedBy !== senderId) return;
+    }
+
+    if (message.type === 'RESOLVE') {
+      if (['store', 'upsert'].includes(message.handlerName)) this._resolvePlayerStoreRequest(args);
+      else if (message.handlerName === 'delete') this._resolvePlayerDeleteRequest(args);
+      else if (message.handlerName === 'update') this._resolvePlayerUpdateRequest(args);
+      else if (message.handlerName === 'storeMany') this._resolvePlayerStoreManyRequest(args);
+      else if (['updateMany', 'deleteMany'].includes(message.handlerName)) this._settleRequest(args.requestId);
+    } else if (message.type === 'ACK') {
+      this._acknowledgeRequest(args, senderId);
+    } else if (message.type === 'ERROR') {
+      this._settleRequest(args.requestId, null, Error(args.error || 'Request failed.'));
+    } else if (message.type === 'PLAYER_REQUEST' && game.user.isGM && this._isResponsibleGM()) {
+      // Requests are executed on behalf of the sender, never a user claimed within the message
+      this._receivePlayerRequest({ ...message, userId: senderId });
+    }
+  }
+
+  /**
+   * Acknowledge player request and either execute it or queue it for approval.
+   * Re-sent requests are answered with the acknowledgement or response already sent for them.
+   * @param {object} message PLAYER_REQUEST message
+   */
+  static _receivePlayerRequest(message) {
+    const requestId = message.args.requestId;
+
+    const handled = this._handledRequests.get(requestId);
+    if (handled) {
+      game.socket.emit(`module.${MODULE_ID}`, handled.response ?? handled.ack);
+      return;
+    }
+
+    if (!this._playerStorePermission) {
+      this._rejectPlayerRequest(message, this.PLAYER_STORE_DENIED);
+      return;
+    }
+
+    const queued = game.settings.get(MODULE_ID, 'playerRequestApproval');
+    const ack = { handlerName: message.handlerName, type: 'ACK', args: { requestId, queued } };
+    this._handledRequests.set(requestId, { ack });
+    game.socket.emit(`module.${MODULE_ID}`, ack);
+
+    // Forget the oldest requests
+    while (this._handledRequests.size > 200) this._handledRequests.delete(this._handledRequests.keys().next().value);
+
+    if (queued) this._queueRequest(message);
+    else {
+      this._executePlayerRequest(message).catch((e) => {
+        console.error(e);
+        this._rejectPlayerRequest(message, e.message);
+      });
+    }
+  }
+
+  /**
+   * Broadcast response to a player request
+   * @param {object} message PLAYER_REQUEST message
+   * @param {string} type    RESOLVE or ERROR
+   * @param {object} args
+   */
+  static _respond(message, type, args) {
+    const response = { handlerName: message.handlerName, type, args: { ...args, requestId: message.args.requestId } };
+    const handled = this._handledRequests.get(message.args.requestId);
+    if (handled) handled.response = response;
+
+    game.socket.emit(`module.${MODULE_ID}`, response);
+  }
+
+  /**
+   * Execute player request and broadcast the result
+   * @param {object} message PLAYER_REQUEST message
+   */
+  static async _executePlayerRequest(message) {
+    // The setting may have been disabled while the request awaited approval
+    if (!this._playerStorePermission) throw Error(this.PLAYER_STORE_DENIED);
+
+    const args = message.args;
+    const user = game.users.get(message.userId);
+    let resolveArgs = {};
+
+    if (message.handlerName === 'store') {
+      // Entries stored on behalf of a player are owned by them
+      const options = this._validateStoreOptions({ ...args.options, owner: message.userId });
+      const [entry] = await this._storeEntries([options], { user });
+      resolveArgs.documentId = entry?.id;
+      resolveArgs.pack = entry?.pack;
+    } else if (message.handlerName === 'upsert') {
+      const options = this._validateStoreOptions({ ...args.options, owner: message.userId });
+      this._validateUniqueFields(args.matchOn);
+      const entry = await this._exclusive(() => this._upsertEntry(options, args.matchOn, user));
+      resolveArgs.documentId = entry?.id;
+      resolveArgs.pack = entry?.pack;
+    } else if (message.handlerName === 'delete') {
+      const entry = await this.retrieve({ uuid: args.uuid });
+      if (!this.canAccess(entry, 'write', user)) throw Error(`Permission denied to delete Entry: ${args.uuid}`);
+      await this._deleteLinked([entry], { ...args.options, user });
+    } else if (message.handlerName === 'update') {
+      const entry = await this.retrieve({ uuid: args.uuid });
+      if (!this.canAccess(entry, this._updateOperation(args.update), user))
+        throw Error(`Permission denied to update Entry: ${args.uuid}`);
+      if (!foundry.utils.isEmpty(args.update)) {
+        const { indexUpdate, data } = await entry._sanitizeUpdate(args.update);
+        await this._updateEntries([{ entry, indexUpdate, data }], { user });
+      }
+      resolveArgs.index = this._entryIndex(entry);
+    } else if (message.handlerName === 'storeMany') {
+      const optionsList = args.optionsList.map((options) =>
+        this._validateStoreOptions({ ...options, owner: message.userId })
+      );
+      const entries = await this._storeEntries(optionsList, { user });
+      resolveArgs.stored = entries.map((entry) => (entry ? { documentId: entry.id, pack: entry.pack } : null));
+    } else if (message.handlerName === 'updateMany') {
+      const entries = await this._getAlignedEntries(args.updates.map((u) => u.uuid));
+      const updates = [];
+      for (const [i, entry] of entries.entries()) {
+        const { uuid, ...update } = args.updates[i];
+        if (!this.canAccess(entry, this._updateOperation(update), user))
+          throw Error(`Permission denied to update Entry: ${uuid}`);
+        if (!foundry.utils.isEmpty(update)) updates.push({ entry, ...(await entry._sanitizeUpdate(update)) });
+      }
+      if (updates.length) await this._updateEntries(updates, { user });
+    } else if (message.handlerName === 'deleteMany') {
+      const entries = await this._getAlignedEntries(args.uuids);
+      for (const [i, entry] of entries.entries()) {
+        if (!this.canAccess(entry, 'write', user)) throw Error(`Permission denied to delete Entry: ${args.uuids[i]}`);
+      }
+      await this._deleteLinked(entries, { ...args.options, user });
+    } else throw Error(`Unknown request: ${message.handlerName}`);
+
+    this._respond(message, 'RESOLVE', resolveArgs);
+  }
+
+  /**
+   * Add player request to the approval queue
+   * @param {object} message PLAYER_REQUEST message
+   */
+  static _queueRequest(message) {
+    this._approvalQueue.push({ ...message, received: Date.now() });
+
+    const app = foundry.applications.instances.get(RequestQueue.DEFAULT_OPTIONS.id);
+    if (app) app.render(true);
+    else {
+      const user = game.users.get(message.userId)?.name ?? 'Player';
+      ui.notifications.info(`Data Storage: ${user} request awaits approval.`);
+    }
+  }
+
+  /**
+   * Approve queued player requests, executing them
+   * @param {Array[string]} requestIds
+   */
+  static async approveRequests(requestIds) {
+    for (const requestId of requestIds) {
+      const message = this._dequeueRequest(requestId);
+      if (!message) continue;
+
+      try {
+        await this._executePlayerRequest(message);
+      } catch (e) {
+        console.error(e);
+        this._rejectPlayerRequest(message, e.message);
+      }
+    }
+  }
+
+  /**
+   * Reject queued player requests
+   * @param {Array[string]} requestIds
+   * @param {string} [reason]
+   */
+  static rejectRequests(requestIds, reason) {
+    for (const requestId of requestIds) {
+      const message = this._dequeueRequest(requestId);
+      if (message) this._rejectPlayerRequest(message, reason);
+    }
+  }
+
+  /**
+   * Remove request from the approval queue
+   * @param {string} requestId
+   * @returns {object} PLAYER_REQUEST message
+   */
+  static _dequeueRequest(requestId) {
+    const index = this._approvalQueue.findIndex((m) => m.args.requestId === requestId);
+    if (index === -1) return;
+    return this._approvalQueue.splice(index, 1)[0];
+  }
+
+  /**
+   * Broadcast rejection of a player request
+   * @param {object} message PLAYER_REQUEST message
+   * @param {string} [reason]
+   */
+  static _rejectPlayerRequest(message, reason) {
+    this._respond(message, 'ERROR', { error: reason || 'Request has been rejected by the GM.' });
+  }
+
+  /**
+   * Open application to approve or reject queued player requests
+   */
+  static requestQueue() {
+    new RequestQueue().render(true);
+  }
+
+  /**
+   * Retrieves entries matching the criteria
+   * @param {object} options
+   * @param {string} [options.uuid]                      UUID of the underlying Entry document
+   * @param {string} [options.name]                      Entry name
+   * @param {string|Array[string]} [options.types]       Entry type/s
+   * @param {Array[string]} [options.tags]               Tags
+   * @param {string} [options.query]                     Search query consisting of:
+   *                                                       Space separated terms e.g. red car
+   *                                                       Quoted phrases e.g. "red car"
+   *                                                       Types e.g. @tmfx-node
+   *                                                       Tags e.g. #light #source
+   *                                                       Field filters e.g. desc:forest pack:world.foo thumb:none
+   *                                                       OR groups e.g. #light|#sound
+   *                                                       Negative match e.g. -red -#light
+   *                                                       Combination of all of the above e.g. car -red @node #player
+   * @param {boolean} [options.matchAnyTag]              Should any or all tags be present within an entry for a match
+   * @param {boolean} [options.matchDesc]                Should query terms be matched against entry descriptions as well as names
+   * @param {string} [options.fullText]                  Full-text search of indexed data, results will be sorted by relevance
+   * @param {string|Entry|Array} [options.linksTo]       Only match entries linking to these entries or UUIDs
+   * @param {string} [options.linkType]                  Only consider links of this type when matching 'linksTo'
+   * @param {string} [options.sort]                      Field to sort results by: name, type, created, or modified
+   *                                                       Prefix with '-' for descending order e.g. -modified
+   * @param {number} [options.limit]                     Maximum number of entries to be returned
+   * @param {number} [options.offset]                    Number of matched entries to skip
+   * @param {string} [options.cursor]                    Return entries following this cursor. See DataStorage.retrievePage(...)
+   * @param {boolean} [options.load]                     If 'true' returned entries will have their documents loaded
+   * @param {boolean} [options.data]                     If 'true' array of returned data will be returned instead of entries
+   * @param {Array[Entry]} [options.entries]             If provided the search will be carried out on this array
+   * @returns {Array[Entry]|Array[object]}
+   */
+  static async retrieve({ sort, limit, offset, cursor, load = false, data = false, ...options } = {}) {
+    let entries = await this._find(options);
+    if (!entries.length) return options.uuid && !Array.isArray(options.uuid) ? undefined : entries;
+
+    ({ entries } = this.paginate(entries, { sort, limit, offset, cursor }));
+
+    // Only the returned entries are loaded
+    if (load || data) await this._batchLoadEntries(entries);
+    if (data) entries = await Promise.all(entries.map((entry) => entry.data()));
+
+    // If a single UUID has been requested lets return it as a single object
+    if (options.uuid && !Array.isArray(options.uuid)) return entries[0];
+
+    return entries;
+  }
+
+  /**
+   * Retrieves a single page of entries matching the criteria
+   * @param {object} options                             See DataStorage.retrieve(...)
+   * @param {number} [options.limit]                     Page size
+   * @returns {object} { entries, total, nextCursor } entries or data of the page, total number of matched entries,
+   *                   and cursor of the following page (null if this is the last page)
+   */
+  static async retrievePage({ sort, limit = 50, offset, cursor, load = false, data = false, ...options } = {}) {
+    const page = this.paginate(await this._find(options), { sort, limit, offset, cursor });
+
+    if (load || data) await this._batchLoadEntries(page.entries);
+    if (data) page.entries = await Promise.all(page.entries.map((entry) => entry.data()));
+
+    return page;
+  }
+
+  /**
+   * Find entries matching retrieve(...) criteria without loading their documents
+   * @param {object} options See DataStorage.retrieve(...)
+   * @returns {Array[Entry]}
+   */
+  static async _find({
+    uuid,
+    name,
+    types,
+    query,
+    tags,
+    matchAnyTag = true,
+    matchDesc = false,
+    fullText,
+    linksTo,
+    linkType,
+    entries,
+  } = {}) {
+    if (uuid) {
+      const uuids = Array.isArray(uuid) ? uuid : [uuid];
+      return (await this.getEntriesFromUUID(uuids, { load: false })).filter((entry) => this.canAccess(entry));
+    } else if (!name && !types && !tags && !query && !fullText && !linksTo)
+      throw Error('UUID, Name, Types, Tags, Query, FullText, and/or LinksTo required to retrieve Entries.');
+    else if (query && (types || tags || name))
+      throw console.warn(`When 'query' is provided 'types', 'tags', and 'name' arguments are ignored.`);
+
+    let search, negativeSearch;
+    if (query) {
+      let errors;
+      ({ search, negativeSearch, errors } = this.parseSearchQuery(query, { matchAnyTag, matchDesc }));
+      if (errors.length) throw Error(`Invalid search query: ${errors.join('; ')}`);
+    } else if (name || types || tags) {
+      if (tags) {
+        if (Array.isArray(tags)) tags = { tags, matchAnyTag };
+        else if (typeof tags === 'string') tags = { tags: tags.split(','), matchAnyTag };
+      }
+
+      search = { name, types, tags };
+    }
+    if (!search && !negativeSearch && !fullText && !linksTo) return [];
+
+    if (entries)
+      entries = entries.filter((entry) => this.canAccess(entry) && this._matchEntry(entry, search, negativeSearch));
+    else entries = await this._search(search, negativeSearch);
+
+    if (linksTo) {
+      linksTo = Array.isArray(linksTo) ? linksTo : [linksTo];
+      const uuids = new Set(linksTo.map((l) => (l instanceof Entry ? l.uuid : l)));
+      entries = entries.filter((entry) => this._linksTo(entry, uuids, linkType));
+    }
+
+    if (fullText) entries = await this._rankFullText(entries, fullText);
+
+    return entries;
+  }
+
+  /**
+   * Sort entries and select a page of them
+   * @param {Array[Entry]} entries
+   * @param {object} [options]
+   * @param {string} [options.sort]   Field to sort by: name, type, created, or modified. '-' prefix for descending order
+   * @param {number} [options.limit]  Maximum number of entries within the page
+   * @param {number} [options.offset] Number of entries to skip
+   * @param {string} [options.cursor] Cursor returned with the previous page, page will start after the entry it points to
+   * @returns {object} { entries, total, nextCursor }
+   */
+  static paginate(entries, { sort, limit, offset = 0, cursor } = {}) {
+    if (limit != null && (!Number.isInteger(limit) || limit < 0)) throw Error(`Invalid limit: ${limit}`);
+    if (!Number.isInteger(offset) || offset < 0) throw Error(`Invalid offset: ${offset}`);
+
+    const compare = this._sortComparator(sort);
+    if (sort) entries = [...entries].sort(compare);
+    const total = entries.length;
+
+    // Cursors point at the last entry of the previous page so that pages remain stable as entries are added or removed
+    let start = offset;
+    if (cursor) {
+      const last = this._decodeCursor(cursor);
+      if (last.sort !== (sort ?? null)) throw Error('Cursor does not match the sort order of the request.');
+
+      let position;
+      if (sort) {
+        position = entries.findIndex((entry) => compare(entry, last.entry) > 0);
+        if (position === -1) position = total;
+      } else {
+        // Without a sort order the entry can only be located by its UUID, if it has since been removed
+        // the page continues from the position it was at
+        position = entries.findIndex((entry) => entry.uuid === last.entry.uuid) + 1;
+        if (!position) {
+          if (!Number.isInteger(last.position)) throw Error('Cursor entry no longer exists.');
+          position = Math.min(last.position, total);
+        }
       }
+      start += position;
+    }
+
+    const end = limit == null ? total : start + limit;
+    const page = entries.slice(start, end);
+    const nextCursor = end < total && page.length ? this._encodeCursor(page.at(-1), sort, start + page.length) : null;
+
+    return { entries: page, total, nextCursor };
+  }
+
+  /**
+   * Construct a comparator for the sort option of retrieve(...). Ties are broken using entry UUIDs.
+   * @param {string} [sort]
+   * @returns {Function}
+   */
+  static _sortComparator(sort) {
+    if (!sort) return () => 0;
+
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.substring(1) : sort;
+    if (!this.SORT_FIELDS.includes(field)) throw Error(`Invalid sort field: ${field}`);
+
+    const direction = descending ? -1 : 1;
+    return (a, b) => {
+      let result;
+      if (field === 'created' || field === 'modified') result = (a[field] ?? 0) - (b[field] ?? 0);
+      else result = (a[field] ?? '').localeCompare(b[field] ?? '', game.i18n?.lang);
+      return direction * result || a.uuid.localeCompare(b.uuid);
+    };
+  }
+
+  /**
+   * @param {Entry} entry       last entry of the page
+   * @param {string} [sort]
+   * @param {number} [position] index following the last entry within the results
+   * @returns {string}
+   */
+  static _encodeCursor(entry, sort, position) {
+    const last = { uuid: entry.uuid };
+    if (sort) {
+      const field = sort.replace(/^-/, '');
+      last[field] = entry[field];
+    }
+    return btoa(encodeURIComponent(JSON.stringify({ sort: sort ?? null, entry: last, position })));
+  }
+
+  /**
+   * @param {string} cursor
+   * @returns {object} { sort, entry, position }
+   */
+  static _decodeCursor(cursor) {
+    try {
+      return JSON.parse(decodeURIComponent(atob(cursor)));
+    } catch (e) {
+      throw Error(`Invalid cursor: ${cursor}`);
     }
+  }
 
-    // Slugify tags
-    if (index.tags) {
-      index.tags = index.tags.map((t) => t.slugify({ strict: true })).filter(Boolean);
-    }
+  /**
+   * Watch entries matching the criteria. The callback is called whenever entries are added to, removed from,
+   * or changed within the results, including changes made by other clients.
+   * @param {string|object} query   Search query, or DataStorage.retrieve(...) options
+   * @param {Function} callback     ({ added, removed, changed }, entries) => void
+   * @returns {object} { entries, unsubscribe } live results and function to stop watching
+   */
+  static async watch(query, callback) {
+    if (typeof callback !== 'function') throw Error('Watch callback must be a function.');
+    const options = typeof query === 'string' ? { query } : { ...query };
+    if (options.entries) throw Error(`'entries' option is not supported by live queries.`);
+
+    const entries = await this._find(options);
+    const watcher = { options, callback, entries, snapshots: this._snapshotEntries(entries) };
+    this._watchers.add(watcher);
+
+    return {
+      get entries() {
+        return watcher.entries;
+      },
+      unsubscribe: () => this._watchers.delete(watcher),
+    };
+  }
 
-    const documents = await compendium.documentClass.createDocuments(
-      [{ name, flags: { [MODULE_ID]: { data: [data], index } } }],
-      {
-        pack: metadataDocument.pack,
-        [MODULE_ID]: true,
+  /**
+   * Re-evaluate live queries once all changes of the current update have been applied
+   */
+  static _scheduleWatchers() {
+    if (!this._watchers.size || this._watchersTimeout) return;
+    this._watchersTimeout = setTimeout(async () => {
+      this._watchersTimeout = null;
+      for (const watcher of this._watchers) {
+        try {
+          await this._refreshWatcher(watcher);
+        } catch (e) {
+          console.error(e);
+        }
       }
-    );
-    const document = documents[0];
+    }, 0);
+  }
+
+  /**
+   * Re-run the live query and notify its callback of differences
+   * @param {object} watcher
+   */
+  static async _refreshWatcher(watcher) {
+    const entries = await this._find(watcher.options);
+    const snapshots = this._snapshotEntries(entries);
+    if (!this._watchers.has(watcher)) return;
 
-    return new Entry(document.id, pack, index, document);
+    const added = [];
+    const changed = [];
+    for (const entry of entries) {
+      const previous = watcher.snapshots.get(entry.uuid);
+      if (previous == null) added.push(entry);
+      else if (previous !== snapshots.get(entry.uuid)) changed.push(entry);
+    }
+    const current = new Set(entries.map((e) => e.uuid));
+    const removed = watcher.entries.filter((e) => !current.has(e.uuid));
+
+    watcher.entries = entries;
+    watcher.snapshots = snapshots;
+    if (added.length || removed.length || changed.length) watcher.callback({ added, removed, changed }, entries);
   }
 
   /**
-   * Handle player request to store data
-   * @param {object} options DataStorage.store(...)
-   * @returns
+   * Serialized index of each entry used to detect changes
+   * @param {Array[Entry]} entries
+   * @returns {Map<string, string>} uuid -> snapshot
    */
-  static playerStore(options = {}) {
-    const requestId = foundry.utils.randomID();
-    const message = {
-      handlerName: 'store',
-      args: { options, requestId },
-      type: 'PLAYER_REQUEST',
-    };
-    game.socket.emit(`module.${MODULE_ID}`, message);
+  static _snapshotEntries(entries) {
+    return new Map(entries.map((entry) => [entry.uuid, JSON.stringify(this._entryIndex(entry))]));
+  }
 
-    // Self resolve in 6s if no response from a GM is received
-    setTimeout(() => {
-      this._requests[requestId]?.(null);
-      delete this._requests[requestId];
-    }, 6000);
+  /**
+   * Key-value store within which each key is an entry of the namespace specific type
+   * @param {string} name                 Namespace e.g. module ID
+   * @param {object} [options]
+   * @param {string} [options.pack]       Pack new keys will be stored within
+   * @returns {Namespace} { get, set, has, delete, keys, entries }
+   */
+  static namespace(name, { pack = this.DEFAULT_PACK } = {}) {
+    if (!name || typeof name !== 'string') throw Error('Namespace must be a non-empty string.');
 
-    return new Promise((resolve) => {
-      this._requests[requestId] = resolve;
-    });
+    const id = `${name}|${pack}`;
+    if (!this._namespaces.has(id)) this._namespaces.set(id, new Namespace(name, pack));
+    return this._namespaces.get(id);
   }
 
   /**
-   * Handle response to playerStore(...) request
-   * @param {object} options
-   * @returns
+   * Slugify a tag, preserving hierarchy separators e.g. 'TMFX/Color Filter' => 'tmfx/color-filter'
+   * @param {string} tag
+   * @returns {string}
    */
-  static async _resolvePlayerStoreRequest({ requestId, documentId, pack } = {}) {
-    if (!this._requests[requestId]) return;
-    const document = await game.packs.get(pack).getDocument(documentId);
-    this._requests[requestId](new Entry(documentId, pack, document.getFlag(MODULE_ID, 'index'), document));
-    delete this._requests[requestId];
+  static slugifyTag(tag) {
+    return String(tag)
+      .split(this.TAG_SEPARATOR)
+      .map((t) => t.slugify({ strict: true }))
+      .filter(Boolean)
+      .join(this.TAG_SEPARATOR);
   }
 
   /**
-   * Handle player request to delete an Entry
-   * @param {string} uuid
-   * @returns
+   * Tags in use along with the number of entries using them. Ancestors of hierarchical tags are included even if
+   * no entry uses them directly.
+   * @param {object} [options]
+   * @param {string} [options.pack]          Only count entries within this pack
+   * @param {Array[Entry]} [options.entries] Only count these entries
+   * @returns {Array[object]} [{ tag, count, total }] sorted by tag, 'count' of entries using the tag and 'total' of
+   *                          entries using the tag or any of its descendants
    */
-  static playerDelete(uuid) {
-    const requestId = foundry.utils.randomID();
-    const message = {
-      handlerName: 'delete',
-      args: { uuid, requestId },
-      type: 'PLAYER_REQUEST',
+  static async listTags({ pack, entries } = {}) {
+    entries ??= await this._accessibleEntries(pack);
+
+    const tags = new Map();
+    const get = (tag) => {
+      if (!tags.has(tag)) tags.set(tag, { tag, count: 0, total: new Set() });
+      return tags.get(tag);
     };
-    game.socket.emit(`module.${MODULE_ID}`, message);
+    for (const entry of entries) {
+      for (const tag of entry.tags) {
+        get(tag).count++;
+        const path = tag.split(this.TAG_SEPARATOR);
+        for (let i = 1; i <= path.length; i++) get(path.slice(0, i).join(this.TAG_SEPARATOR)).total.add(entry.uuid);
+      }
+    }
 
-    // Self resolve in 6s if no response from a GM is received
-    setTimeout(() => {
-      this._requests[requestId]?.(null);
-      delete this._requests[requestId];
-    }, 6000);
+    return Array.from(tags.values())
+      .map((t) => ({ ...t, total: t.total.size }))
+      .sort((a, b) => a.tag.localeCompare(b.tag));
+  }
 
-    return new Promise((resolve) => {
-      this._requests[requestId] = resolve;
-    });
+  /**
+   * Rename a tag across all entries. Descendants of hierarchical tags are renamed as well
+   * e.g. renaming 'tmfx' to 'tokenmagic' turns 'tmfx/filter' into 'tokenmagic/filter'
+   * Entries the user does not have write access to are skipped.
+   * @param {string} tag
+   * @param {string} newTag
+   * @param {object} [options]
+   * @param {string} [options.pack] Only rename the tag within this pack
+   * @returns {Array[Entry]} updated entries
+   */
+  static async renameTag(tag, newTag, options = {}) {
+    return this.mergeTags([tag], newTag, options);
   }
 
   /**
-   * Handle response to playerDelete(...) request
-   * @param {object} options
-   * @returns
+   * Replace multiple tags with a single tag across all entries. Descendants of hierarchical tags are moved under the
+   * target tag e.g. merging 'tmfx' into 'tokenmagic' turns 'tmfx/filter' into 'tokenmagic/filter'
+   * Entries the user does not have write access to are skipped.
+   * @param {Array[string]} tags tags to be merged
+   * @param {string} into        tag they are to be merged into
+   * @param {object} [options]
+   * @param {string} [options.pack] Only merge tags within this pack
+   * @returns {Array[Entry]} updated entries
    */
-  static async _resolvePlayerDeleteRequest({ requestId } = {}) {
-    if (!this._requests[requestId]) return;
-    this._requests[requestId]();
-    delete this._requests[requestId];
+  static async mergeTags(tags, into, { pack } = {}) {
+    tags = tags.map((t) => this.slugifyTag(t)).filter(Boolean);
+    into = this.slugifyTag(into);
+    if (!tags.length || !into) throw Error('Tags to be merged and the tag to merge them into are required.');
+
+    const replace = (t) => {
+      const tag = tags.find((tag) => t === tag || t.startsWith(tag + this.TAG_SEPARATOR));
+      return tag ? into + t.substring(tag.length) : t;
+    };
+
+    const updates = [];
+    for (const entry of await this._accessibleEntries(pack)) {
+      if (!tags.some((tag) => this._hasTag(entry, tag)) || !this.canAccess(entry, 'write')) continue;
+      const updated = Array.from(new Set(entry.tags.map(replace)));
+      if (!foundry.utils.objectsEqual(updated, entry.tags)) updates.push({ uuid: entry.uuid, tags: updated });
+    }
+
+    return this.updateMany(updates);
   }
 
   /**
-   * Retrieves entries matching the criteria
+   * Entries of all managed packs, or the provided pack, the current user has access to
+   * @param {string} [pack]
+   * @returns {Array[Entry]}
+   */
+  static async _accessibleEntries(pack) {
+    const packs = pack ? [game.packs.get(pack)] : this.getManagedPacks();
+    const entries = [];
+    for (const p of packs) {
+      if (!p?.index.get(this.META_INDEX_ID)) throw Error(`Pack is not managed by Data Storage: ${pack}`);
+      for (const entry of await this._loadIndex(p)) {
+        if (this.canAccess(entry)) entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Export entries as a portable JSON bundle
    * @param {object} options
-   * @param {string} [options.uuid]                      UUID of the underlying Entry document
-   * @param {string} [options.name]                      Entry name
-   * @param {string|Array[string]} [options.types]       Entry type/s
-   * @param {Array[string]} [options.tags]               Tags
-   * @param {string} [options.query]                     Search query consisting of:
-   *                                                       Space separated terms e.g. "red car"
-   *                                                       Types e.g. "@tmfx-node"
-   *                                                       Tags e.g. "#light #source"
-   *                                                       Negative match e.g. "-red -#light"
-   *                                                       Combination of all of the above e.g. "car -red @node #player"
-   * @param {boolean} [options.matchAnyTag]              Should any or all tags be present within an entry for a match
-   * @param {boolean} [options.load]                     If 'true' all entries will have their documents loaded before being returned
-   * @param {boolean} [options.data]                     If 'true' array of all matched data will be returned instead of entries
-   * @param {Array[Entry]} [options.entries]             If provided the search will be carried out on this array
-   * @returns {Array[Entry]|Array[object]}
+   * @param {Array[string]} [options.uuids] UUIDs of entries to be exported
+   * @param {string} [options.query]        Search query used to find entries to be exported. See DataStorage.retrieve(...)
+   * @param {Array[Entry]} [options.entries] Entries to be exported
+   * Other DataStorage.retrieve(...) options are also accepted
+   * @returns {object} bundle
    */
-  static async retrieve({
-    uuid,
-    name,
-    types,
-    query,
-    tags,
-    matchAnyTag = true,
-    load = false,
-    data = false,
-    entries,
-  } = {}) {
-    if (data) load = true;
+  static async export({ uuids, entries, ...options } = {}) {
+    if (uuids) entries = await this.retrieve({ uuid: Array.isArray(uuids) ? uuids : [uuids], load: true });
+    else if (entries) entries = await this._batchLoadEntries(entries);
+    else entries = await this.retrieve({ ...options, load: true });
+
+    const exported = [];
+    for (const entry of entries.filter(Boolean)) {
+      // The UUID allows links between exported entries to be remapped on import
+      const e = { uuid: entry.uuid };
+      for (const k of Object.keys(this.INDEX_FIELDS)) e[k] = foundry.utils.deepClone(entry[k]);
+      // Outdated data is migrated when retrieved
+      if (this._isOutdated(entry)) e.version = this.getTypeVersion(entry.type);
+      e.data = foundry.utils.deepClone(await entry.data());
+      exported.push(e);
+    }
 
-    if (uuid) {
-      const uuids = Array.isArray(uuid) ? uuid : [uuid];
-      entries = await this.getEntriesFromUUID(uuids, { load });
-    } else if (!name && !types && !tags && !query)
-      throw Error('UUID, Name, Types, Tags, and/or Query required to retrieve Entries.');
-    else if (query && (types || tags || name))
-      throw console.warn(`When 'query' is provided 'types', 'tags', and 'name' arguments are ignored.`);
-    else {
-      let search, negativeSearch;
-      if (query) {
-        ({ search, negativeSearch } = this.parseSearchQuery(query, { matchAnyTag }));
-      } else {
-        if (tags) {
-          if (Array.isArray(tags)) tags = { tags, matchAnyTag };
-          else if (typeof tags === 'string') tags = { tags: tags.split(','), matchAnyTag };
-        }
+    return {
+      module: MODULE_ID,
+      version: this.BUNDLE_VERSION,
+      exported: Date.now(),
+      entries: exported,
+    };
+  }
 
-        search = { name, types, tags };
+  /**
+   * Import entries from a bundle produced by DataStorage.export(...)
+   * An entry within the bundle is considered to be in conflict if the pack already contains an entry with the same name and type
+   * or if it appears within the bundle more than once. Links between imported entries are remapped, other links are kept
+   * only if they point to entries present within this world.
+   * @param {object|string} bundle                  Bundle object or its JSON string
+   * @param {object} [options]
+   * @param {string} [options.pack]                 Pack the entries are to be imported into
+   * @param {string} [options.onConflict]           'skip', 'overwrite', or 'duplicate'
+   * @returns {object} { created, updated, skipped }
+   */
+  static async import(bundle, { pack = this.DEFAULT_PACK, onConflict = 'skip' } = {}) {
+    if (typeof bundle === 'string') bundle = JSON.parse(bundle);
+    if (bundle?.module !== MODULE_ID || !Array.isArray(bundle.entries)) throw Error('Invalid Data Storage bundle.');
+    if (bundle.version > this.BUNDLE_VERSION) throw Error(`Unsupported bundle version: ${bundle.version}`);
+    if (!['skip', 'overwrite', 'duplicate'].includes(onConflict))
+      throw Error(`Invalid onConflict value: ${onConflict}`);
+
+    // Entries already present within the pack
+    let existing = [];
+    const compendium = game.packs.get(pack);
+    if (compendium?.index.get(this.META_INDEX_ID)) existing = Array.from(await this._loadIndex(compendium));
+
+    const toStore = [];
+    const toUpdate = [];
+    const skipped = [];
+    const linking = []; // [{ target, linked, overwrite }] imported entries along with their exported links
+    const targets = new Map(); // UUID of an exported entry -> store options or { uuid } of the entry it is imported as
+    const imported = new Map(); // 'name|type' -> target of the first entry within the bundle
+    for (let { data, owner, version = 1, uuid, linked = [], ...index } of bundle.entries) {
+      // Data exported by an older version of its type is migrated before being validated against the current schema
+      if (version > this.getTypeVersion(index.type))
+        throw Error(`Entry "${index.name}" has been exported by a newer version of its type: ${index.type}`);
+      if (this._isOutdated({ ...index, version })) data = await this._migrateData({ ...index, version }, data);
+
+      const key = `${index.name}|${index.type}`;
+      const conflict =
+        onConflict !== 'duplicate' && existing.find((entry) => entry.name === index.name && entry.type === index.type);
+
+      let target;
+      if (onConflict !== 'duplicate' && imported.has(key)) {
+        // Entries duplicated within the bundle are imported once
+        target = imported.get(key);
+        skipped.push(index);
+      } else if (!conflict) {
+        target = { ...index, data, pack };
+        toStore.push(target);
+        linking.push({ target, linked });
+      } else if (onConflict === 'overwrite') {
+        // Access of overwritten entries can only be changed by their owners
+        if (!this.canAccess(conflict, 'owner')) delete index.access;
+        target = { uuid: conflict.uuid };
+        toUpdate.push({ ...index, data, uuid: conflict.uuid });
+        linking.push({ target, linked, overwrite: true });
+      } else {
+        target = { uuid: conflict.uuid };
+        skipped.push(index);
       }
-      if (!search && !negativeSearch) return [];
-
-      if (entries) entries = entries.filter((entry) => this._matchEntry(entry, search, negativeSearch));
-      else entries = await this._search(search, negativeSearch);
 
-      if (load) await this._batchLoadEntries(results);
+      if (!imported.has(key)) imported.set(key, target);
+      if (uuid) targets.set(uuid, target);
     }
 
-    if (data) entries = entries.map((entry) => entry.data());
+    const stored = toStore.length ? (await this.storeMany(toStore)) ?? [] : [];
+    const created = stored.filter(Boolean);
+    const updated = toUpdate.length ? (await this.updateMany(toUpdate)) ?? [] : [];
+
+    // Links to exported entries are remapped to the entries they have been imported as. Links to entries which are
+    // neither imported nor present within this world are dropped.
+    const uuidOf = (target) => target.uuid ?? stored[toStore.indexOf(target)]?.uuid;
+    const outside = linking.flatMap(({ linked }) => linked.map((link) => link.uuid)).filter((u) => !targets.has(u));
+    const local = new Set();
+    for (const entry of await this.getEntriesFromUUID(Array.from(new Set(outside)), { load: false })) {
+      local.add(entry.uuid);
+    }
 
-    // If a single UUID has been requested lets return it as a single object
-    if (uuid && !Array.isArray(uuid)) return entries[0];
+    const linkUpdates = [];
+    for (const { target, linked, overwrite } of linking) {
+      const uuid = uuidOf(target);
+      if (!uuid || (!linked.length && !overwrite)) continue;
+
+      const remapped = [];
+      for (const link of linked) {
+        if (targets.has(link.uuid)) {
+          const linkedUuid = uuidOf(targets.get(link.uuid));
+          if (linkedUuid) remapped.push({ ...link, uuid: linkedUuid });
+        } else if (local.has(link.uuid)) remapped.push(link);
+      }
+      linkUpdates.push({ uuid, linked: remapped });
+    }
+    if (linkUpdates.length) await this.updateMany(linkUpdates);
 
-    return entries;
+    return { created, updated, skipped };
   }
 
   /**
@@ -529,7 +3480,15 @@ export class DataStorage {
   static async _loadIndex(pack) {
     if (pack._dataStorageIndex) return pack._dataStorageIndex;
     const metadataDocument = await pack.getDocument(this.META_INDEX_ID);
-    const rawIndex = metadataDocument.getFlag(MODULE_ID, 'index');
+    let rawIndex = metadataDocument.getFlag(MODULE_ID, 'index');
+
+    // Corrupted index, attempt to recover it from the documents
+    if (foundry.utils.getType(rawIndex) !== 'Object') {
+      if (!game.user.isGM) throw Error(`Corrupted META index within pack: ${pack.collection}`);
+      console.warn(`Corrupted META index within pack: ${pack.collection}. Rebuilding...`);
+      await this.rebuildIndex(pack.collection);
+      rawIndex = metadataDocument.getFlag(MODULE_ID, 'index');
+    }
 
     const index = new Collection();
     for (const [id, content] of Object.entries(rawIndex)) {
@@ -541,19 +3500,132 @@ export class DataStorage {
   }
 
   /**
-   * Search all managed packs
+   * Compare the META index of a pack against the documents stored within it.
+   * Reports index entries without a document (orphans), documents without an index entry (missing),
+   * entries whose index differs from the one stored on the document itself (mismatched),
+   * and chunk documents no longer referenced by any entry (orphanedChunks).
+   * Documents are treated as the source of truth when repairing.
+   * @param {string} packId
+   * @param {object} [options]
+   * @param {boolean} [options.repair] If 'true' the META index will be updated to match the documents, GM only
+   * @returns {object} { pack, orphans, missing, mismatched, orphanedChunks, repaired }
+   */
+  static async verifyIndex(packId, { repair = false } = {}) {
+    if (repair && !game.user.isGM) throw Error('Only GMs can rebuild the META index.');
+
+    const compendium = game.packs.get(packId);
+    if (!compendium) throw Error(`Unable to retrieve pack: ${packId}`);
+
+    const metadataDocument = await compendium.getDocument(this.META_INDEX_ID);
+    if (!metadataDocument) throw Error(`META index document not found within pack: ${packId}`);
+
+    let metaIndex = metadataDocument.getFlag(MODULE_ID, 'index');
+    const corrupted = foundry.utils.getType(metaIndex) !== 'Object';
+    if (corrupted) metaIndex = {};
+
+    // Gather indexes stored on the documents themselves and chunk documents referenced by them
+    const documentIndex = {};
+    const chunks = [];
+    const referencedChunks = new Set();
+    for (const document of await compendium.getDocuments()) {
+      if (document.id === this.META_INDEX_ID) continue;
+      if (this._isChunk(document)) {
+        chunks.push(document.id);
+        continue;
+      }
+      documentIndex[document.id] = document.getFlag(MODULE_ID, 'index') ?? this._defaultIndex(document);
+      for (const payload of document.getFlag(MODULE_ID, 'data') ?? []) {
+        this._chunkIds(payload).forEach((id) => referencedChunks.add(id));
+      }
+    }
+
+    const report = {
+      pack: packId,
+      orphans: [],
+      missing: [],
+      mismatched: [],
+      orphanedChunks: chunks.filter((id) => !referencedChunks.has(id)),
+      repaired: false,
+    };
+
+    for (const id of Object.keys(metaIndex)) {
+      if (!documentIndex[id]) report.orphans.push(id);
+    }
+
+    for (const [id, index] of Object.entries(documentIndex)) {
+      if (!metaIndex[id]) {
+        report.missing.push(id);
+        continue;
+      }
+
+      const fields = Object.keys(this.INDEX_FIELDS).filter((k) => {
+        const a = index[k];
+        const b = metaIndex[id][k];
+        if (Array.isArray(a) && Array.isArray(b)) return !foundry.utils.objectsEqual(a, b);
+        return a !== b;
+      });
+      if (fields.length) report.mismatched.push({ id, fields });
+    }
+
+    const valid =
+      !corrupted &&
+      !report.orphans.length &&
+      !report.missing.length &&
+      !report.mismatched.length &&
+      !report.orphanedChunks.length;
+    if (!repair || valid) return report;
+
+    if (compendium.locked) throw Error('Unable to repair index within a locked compendium.');
+
+    if (report.orphanedChunks.length) {
+      await compendium.documentClass.deleteDocuments(report.orphanedChunks, { pack: packId });
+    }
+
+    let update;
+    if (corrupted) update = { [`flags.${MODULE_ID}.index`]: documentIndex };
+    else {
+      update = {};
+      for (const id of report.orphans) update[`flags.${MODULE_ID}.index.-=${id}`] = null;
+      for (const id of [...report.missing, ...report.mismatched.map((m) => m.id)]) {
+        update[`flags.${MODULE_ID}.index.${id}`] = documentIndex[id];
+      }
+    }
+
+    if (!foundry.utils.isEmpty(update)) await metadataDocument.update(update);
+    if (corrupted) delete compendium._dataStorageIndex;
+
+    report.repaired = true;
+    return report;
+  }
+
+  /**
+   * Rebuild the META index of a pack from the indexes stored on each of its documents.
+   * The metadata document will be re-created if it has been deleted.
+   * @param {string} packId
+   * @returns {object} verifyIndex(...) report
+   */
+  static async rebuildIndex(packId) {
+    if (!game.user.isGM) throw Error('Only GMs can rebuild the META index.');
+
+    const { compendium } = await this._initCompendium(packId);
+    if (!compendium) throw Error(`Unable to retrieve pack: ${packId}`);
+
+    return this.verifyIndex(packId, { repair: true });
+  }
+
+  /**
+   * Search all managed packs for entries the current user is permitted to read
    * @param {object} search
    * @param {object} negativeSearch
    * @returns
    */
   static async _search(search, negativeSearch) {
     const results = [];
-    for (const pack of game.packs) {
-      if (!pack.index.get(this.META_INDEX_ID)) continue;
+    for (const pack of this.getManagedPacks()) {
       if (!pack._dataStorageIndex) await this._loadIndex(pack);
 
       for (const entry of pack._dataStorageIndex) {
-        if (this._matchEntry(entry, search, negativeSearch)) results.push(entry);
+        if (this.canAccess(entry) && this._matchEntry(entry, search, negativeSearch)) results.push(entry);
       }
     }
 
@@ -570,31 +3642,100 @@ export class DataStorage {
     let match = true;
 
     if (search) {
-      const { name, terms, types, tags } = search;
+      const { name, terms, types, tags, fields, groups, matchDesc } = search;
       if (name && name !== entry.name) match = false;
       else if (types && !types.includes(entry.type)) match = false;
-      else if (terms && !terms.every((t) => entry.name.toLowerCase().includes(t))) match = false;
+      else if (terms && !terms.every((t) => this._matchTerm(entry, t, matchDesc))) match = false;
+      else if (fields && !fields.every((f) => this._matchField(entry, f))) match = false;
+      else if (groups && !groups.every((g) => g.some((a) => this._matchAtom(entry, a, matchDesc)))) match = false;
       else if (tags) {
         if (tags.noTags) match = !entry.tags.length;
-        else if (tags.matchAnyTag) match = tags.tags.some((t) => entry.tags.includes(t));
-        else match = tags.tags.every((t) => entry.tags.includes(t));
+        else if (tags.matchAnyTag) match = tags.tags.some((t) => this._hasTag(entry, t));
+        else match = tags.tags.every((t) => this._hasTag(entry, t));
       }
     }
     if (match && negativeSearch) {
-      const { name, terms, types, tags } = negativeSearch;
+      const { name, terms, types, tags, fields, groups, matchDesc } = negativeSearch;
       if (name && name === entry.name) match = false;
       else if (types && types.includes(entry.type)) match = false;
-      else if (terms && !terms.every((t) => !entry.name.toLowerCase().includes(t))) match = false;
+      else if (terms && terms.some((t) => this._matchTerm(entry, t, matchDesc))) match = false;
+      else if (fields && fields.some((f) => this._matchField(entry, f))) match = false;
+      else if (groups && groups.some((g) => g.some((a) => this._matchAtom(entry, a, matchDesc)))) match = false;
       else if (tags) {
         if (tags.noTags) match = !!entry.tags.length;
-        else if (tags.matchAnyTag) match = tags.tags.some((t) => !entry.tags.includes(t));
-        else match = tags.tags.every((t) => !entry.tags.includes(t));
+        else if (tags.matchAnyTag) match = tags.tags.some((t) => !this._hasTag(entry, t));
+        else match = tags.tags.every((t) => !this._hasTag(entry, t));
       }
     }
 
     return match;
   }
 
+  /**
+   * Does the Entry have the tag or any of its descendants e.g. 'tmfx' matches 'tmfx' and 'tmfx/filter'
+   * @param {Entry} entry
+   * @param {string} tag
+   * @returns {boolean}
+   */
+  static _hasTag(entry, tag) {
+    return entry.tags.some((t) => t === tag || t.startsWith(tag + this.TAG_SEPARATOR));
+  }
+
+  /**
+   * Match a lowercase search term against Entry name, and optionally description
+   * @param {Entry} entry
+   * @param {string} term
+   * @param {boolean} [matchDesc]
+   * @returns {boolean}
+   */
+  static _matchTerm(entry, term, matchDesc = false) {
+    if (entry.name.toLowerCase().includes(term)) return true;
+    return Boolean(matchDesc && entry.desc?.toLowerCase().includes(term));
+  }
+
+  /**
+   * Match a 'field:value' query filter against an Entry. Value 'none' matches empty fields.
+   * @param {Entry} entry
+   * @param {object} filter { field, value }
+   * @returns {boolean}
+   */
+  static _matchField(entry, { field, value }) {
+    const val = value.toLocaleLowerCase();
+    switch (field) {
+      case 'pack':
+        return entry.pack === value;
+      case 'thumb':
+        if (val === 'none') return !entry.thumb || entry.thumb === this.DEFAULT_THUMB;
+        return Boolean(entry.thumb?.toLowerCase().includes(val));
+      case 'owner':
+        if (val === 'none') return !entry.owner;
+        return entry.owner === value || game.users.get(entry.owner)?.name.toLocaleLowerCase() === val;
+      default:
+        if (val === 'none') return !entry[field];
+        return Boolean(entry[field]?.toLocaleLowerCase().includes(val));
+    }
+  }
+
+  /**
+   * Match a single component of an OR group against an Entry
+   * @param {Entry} entry
+   * @param {object} atom { kind, value, field }
+   * @param {boolean} [matchDesc]
+   * @returns {boolean}
+   */
+  static _matchAtom(entry, atom, matchDesc) {
+    switch (atom.kind) {
+      case 'tag':
+        return atom.value === 'null' ? !entry.tags.length : this._hasTag(entry, atom.value);
+      case 'type':
+        return entry.type === atom.value;
+      case 'field':
+        return this._matchField(entry, atom);
+      default:
+        return this._matchTerm(entry, atom.value, matchDesc);
+    }
+  }
+
   /**
    * Returns provided UUIDs as Entries
    * @param {Array[string]|string} uuids
@@ -607,17 +3748,16 @@ export class DataStorage {
     const entries = [];
 
     for (const uuid of uuids) {
-      let { collection, documentId } = foundry.utils.parseUuid(uuid);
+      let { collection, documentId } = foundry.utils.parseUuid(uuid) ?? {};
       if (!collection) {
         console.warn('Invalid UUID: ', uuid);
         continue;
       }
-      const index = collection.index.get(documentId);
+      // Skip documents which are not entries of managed packs e.g. world documents or links to non-entry documents
+      if (!collection.index?.get(this.META_INDEX_ID) || !collection.index.get(documentId)) continue;
 
-      if (index) {
-        if (!collection._dataStorageIndex) await this._loadIndex(collection);
-        entries.push(collection._dataStorageIndex.get(documentId));
-      }
+      const entry = (await this._loadIndex(collection)).get(documentId);
+      if (entry) entries.push(entry);
     }
 
     if (load) return this._batchLoadEntries(entries);
@@ -648,51 +3788,149 @@ export class DataStorage {
       }
     }
 
+    await this._loadChunks(entries);
     return entries;
   }
 
   /**
-   * Parses a search query returning terms, tags, and type found within it
+   * Parses a search query returning terms, tags, types, field filters, and OR groups found within it
    * @param {String} query
-   * @returns {object} query components
+   * @param {object} [options]
+   * @param {boolean} [options.matchAnyTag] Should any or all tags be present within an entry for a match
+   * @param {boolean} [options.matchDesc]   Should terms be matched against entry descriptions as well as names
+   * @returns {object} query components and parse errors { search, negativeSearch, errors }
    */
-  static parseSearchQuery(query, { matchAnyTag = true, noTags = false } = {}) {
-    let search = { terms: [], tags: [], types: [] };
-    let negativeSearch = { terms: [], tags: [], types: [] };
+  static parseSearchQuery(query, { matchAnyTag = true, noTags = false, matchDesc = false } = {}) {
+    let search = { terms: [], tags: [], types: [], fields: [], groups: [] };
+    let negativeSearch = { terms: [], tags: [], types: [], fields: [], groups: [] };
+    const errors = [];
 
-    query
-      .trim()
-      .split(' ')
-      .filter(Boolean)
-      .forEach((t) => {
-        let tSearch = search;
+    for (let t of this._tokenizeQuery(query, errors)) {
+      let tSearch = search;
 
-        if (t.startsWith('-')) {
-          t = t.substring(1);
-          tSearch = negativeSearch;
-        }
+      if (t.startsWith('-')) {
+        t = t.substring(1);
+        tSearch = negativeSearch;
+      }
 
-        if (t.length >= 3) {
-          if (t.startsWith('#')) {
-            let tag = t.substring(1).toLocaleLowerCase();
-            if (tag === 'null') noTags = true;
-            tSearch.tags.push(tag);
-          } else if (t.startsWith('@')) tSearch.types.push(t.substring(1));
-          else tSearch.terms.push(t.toLocaleLowerCase());
-        }
-      });
+      // OR group e.g. #light|#sound
+      const alternatives = this._splitQueryToken(t, '|');
+      if (alternatives.length > 1) {
+        const group = alternatives.map((a) => this._parseQueryAtom(a, errors)).filter(Boolean);
+        if (group.length) tSearch.groups.push(group);
+        continue;
+      }
+
+      const atom = this._parseQueryAtom(t, errors);
+      if (!atom) continue;
+
+      if (atom.kind === 'tag') {
+        if (atom.value === 'null') noTags = true;
+        tSearch.tags.push(atom.value);
+      } else if (atom.kind === 'type') tSearch.types.push(atom.value);
+      else if (atom.kind === 'field') tSearch.fields.push(atom);
+      else tSearch.terms.push(atom.value);
+    }
 
     [search, negativeSearch].forEach((s) => {
       if (!s.terms.length) delete s.terms;
       if (!s.types.length) delete s.types;
+      if (!s.fields.length) delete s.fields;
+      if (!s.groups.length) delete s.groups;
       if (!s.tags.length) delete s.tags;
       else s.tags = { tags: s.tags, matchAnyTag, noTags };
+      if (matchDesc && (s.terms || s.groups)) s.matchDesc = true;
     });
 
     if (!Object.keys(search).length) search = undefined;
     if (!Object.keys(negativeSearch).length) negativeSearch = undefined;
 
-    return { search, negativeSearch };
+    return { search, negativeSearch, errors };
+  }
+
+  /**
+   * Split query on whitespace, keeping quoted phrases together
+   * @param {string} query
+   * @param {Array[string]} errors parse errors will be added to this array
+   * @returns {Array[string]}
+   */
+  static _tokenizeQuery(query, errors) {
+    const tokens = [];
+    let token = '';
+    let quoted = false;
+
+    for (const c of query.trim()) {
+      if (c === '"') quoted = !quoted;
+      if (!quoted && /\s/.test(c)) {
+        if (token) tokens.push(token);
+        token = '';
+      } else token += c;
+    }
+    if (quoted) errors.push(`Unterminated quote: ${token}`);
+    if (token) tokens.push(token);
+
+    return tokens;
+  }
+
+  /**
+   * Split a query token on the separator, ignoring separators within quotes
+   * @param {string} token
+   * @param {string} separator
+   * @returns {Array[string]}
+   */
+  static _splitQueryToken(token, separator) {
+    const parts = [''];
+    let quoted = false;
+    for (const c of token) {
+      if (c === '"') quoted = !quoted;
+      if (!quoted && c === separator) parts.push('');
+      else parts[parts.length - 1] += c;
+    }
+    return parts;
+  }
+
+  /**
+   * Parse a single query component: #tag, @type, field:value, "quoted phrase", or term
+   * @param {string} atom
+   * @param {Array[string]} errors parse errors will be added to this array
+   * @returns {object|null} { kind, value, field }
+   */
+  static _parseQueryAtom(atom, errors) {
+    const unquote = (str) => str.replaceAll('"', '').trim();
+
+    if (atom.startsWith('#')) {
+      const value = unquote(atom.substring(1)).toLocaleLowerCase();
+      if (!value) errors.push('Empty tag: #');
+      return value ? { kind: 'tag', value } : null;
+    }
+
+    if (atom.startsWith('@')) {
+      const value = unquote(atom.substring(1));
+      if (!value) errors.push('Empty type: @');
+      return value ? { kind: 'type', value } : null;
+    }
+
+    const fieldMatch = atom.match(/^([a-zA-Z]+):(.*)$/);
+    if (fieldMatch) {
+      const field = fieldMatch[1].toLowerCase();
+      const value = unquote(fieldMatch[2]);
+      if (!this.QUERY_FIELDS.includes(field)) {
+        errors.push(`Unknown field: ${field}. Supported fields: ${this.QUERY_FIELDS.join(', ')}`);
+        return null;
+      }
+      if (!value) {
+        errors.push(`Empty value for field: ${field}`);
+        return null;
+      }
+      return { kind: 'field', field, value };
+    }
+
+    const value = unquote(atom).toLocaleLowerCase();
+    if (!value) {
+      errors.push(atom ? `Empty phrase: ${atom}` : 'Empty search term');
+      return null;
+    }
+    return { kind: 'term', value };
   }
 }
 
@@ -705,6 +3943,9 @@ Hooks.on('init', () => {
     config: false,
     type: Array,
     default: ['JournalEntry'], // CONST.COMPENDIUM_DOCUMENT_TYPES
+    onChange: (val) => {
+      DataStorage._registerDocumentHooks(val);
+    },
   });
 
   game.settings.register(MODULE_ID, 'hideManagedPacks', {
@@ -719,6 +3960,24 @@ Hooks.on('init', () => {
     },
   });
 
+  game.settings.register(MODULE_ID, 'historyLength', {
+    name: 'data-storage.historyLength.name',
+    hint: 'data-storage.historyLength.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0,
+  });
+
+  game.settings.register(MODULE_ID, 'chunkSize', {
+    name: 'data-storage.chunkSize.name',
+    hint: 'data-storage.chunkSize.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 100000,
+  });
+
   game.settings.register(MODULE_ID, 'playerStorePermission', {
     name: 'data-storage.playerStorePermission.name',
     hint: 'data-storage.playerStorePermission.hint',
@@ -731,6 +3990,40 @@ Hooks.on('init', () => {
     },
   });
 
+  game.settings.register(MODULE_ID, 'requestTimeout', {
+    name: 'data-storage.requestTimeout.name',
+    hint: 'data-storage.requestTimeout.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 6,
+  });
+
+  game.settings.register(MODULE_ID, 'requestRetries', {
+    name: 'data-storage.requestRetries.name',
+    hint: 'data-storage.requestRetries.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 2,
+  });
+
+  game.settings.register(MODULE_ID, 'migrationProgress', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  game.settings.register(MODULE_ID, 'playerRequestApproval', {
+    name: 'data-storage.playerRequestApproval.name',
+    hint: 'data-storage.playerRequestApproval.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
   game.settings.registerMenu(MODULE_ID, 'browser', {
     name: 'data-storage.browser',
     icon: 'fa-solid fa-scroll',
@@ -738,46 +4031,34 @@ Hooks.on('init', () => {
     restricted: true,
   });
 
+  game.settings.registerMenu(MODULE_ID, 'requestQueue', {
+    name: 'data-storage.requestQueue',
+    icon: 'fa-solid fa-list-check',
+    type: RequestQueue,
+    restricted: true,
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'documentTypes', {
+    name: 'data-storage.documentTypes.name',
+    hint: 'data-storage.documentTypes.hint',
+    icon: 'fa-solid fa-box-archive',
+    type: DocumentTypesConfig,
+    restricted: true,
+  });
+
   DataStorage._init();
 
-  // Handle broadcasts for player store and delete requests
-  game.socket?.on(`module.${MODULE_ID}`, async (message) => {
-    const args = message.args;
+  // Handle broadcasts for player requests
+  game.socket?.on(`module.${MODULE_ID}`, (message, senderId) => DataStorage._onSocketMessage(message, senderId));
+});
 
-    if (message.type === 'RESOLVE') {
-      if (message.handlerName === 'store') DataStorage._resolvePlayerStoreRequest(args);
-      else if (message.handlerName === 'delete') DataStorage._resolvePlayerDeleteRequest(args);
-    } else if (game.user.isGM) {
-      if (
-        game.users.filter((u) => u.active && u.isGM).sort((a, b) => b.role - a.role || a.id.compare(b.id))[0]?.isSelf
-      ) {
-        if (message.handlerName === 'store') {
-          const entry = await DataStorage.store(args.options);
-
-          const message = {
-            handlerName: 'store',
-            type: 'RESOLVE',
-            args: {
-              requestId: args.requestId,
-              documentId: entry.id,
-              pack: entry.pack,
-            },
-          };
-          game.socket.emit(`module.${MODULE_ID}`, message);
-        } else if (message.handlerName === 'delete') {
-          const entry = await DataStorage.retrieve({ uuid: args.uuid });
-          await entry.delete();
-
-          const message = {
-            handlerName: 'delete',
-            type: 'RESOLVE',
-            args: {
-              requestId: args.requestId,
-            },
-          };
-          game.socket.emit(`module.${MODULE_ID}`, message);
-        }
-      }
-    }
-  });
+// Notify GMs of migrations which did not run to completion
+Hooks.once('ready', () => {
+  const running = game.settings.get(MODULE_ID, 'migrationProgress').running;
+  if (game.user.isGM && running) {
+    ui.notifications.warn(
+      `Data Storage migration was interrupted after ${running.processed} of ${running.total} entries. ` +
+        'Run DataStorage.migrate() to resume.'
+    );
+  }
 });